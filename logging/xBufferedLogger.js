@@ -8,9 +8,51 @@
 * string.  The typical use case is for scenarios where a log needs to be built on a transactional basis and then
 * written only at the end.
 *
+* In addition to returning the combined string, flush() will also hand the buffered statements to any appenders that
+* have been registered with addAppender() (see the xBufferedLogger.Appender class and its built-in implementations at
+* the bottom of this script), so a single flush() call can write to several destinations (system log, syslog table,
+* attachments, etc.) at once.
+*
+* Each logged statement is held as a structured log entry (level, timestamp, message, logger name and optional context
+* fields) rather than as a pre-formatted string; entries are only turned into text on flush(), using the logger's
+* layout (see the xBufferedLogger.Layout class).  This allows the buffered entries to be filtered, counted and
+* re-formatted after the fact (see getEntries() and formatEntries()).
+*
+* Loggers can either be created standalone (new xBufferedLogger()), or obtained by name from the logger repository
+* (xBufferedLogger.getLogger("com.acme.integration.hr")).  Repository loggers form a dot-separated hierarchy: a logger
+* without a level of its own inherits the effective level of its nearest ancestor, and (unless its additivity is turned
+* off) also writes to its ancestors' appenders on flush().  The repository lives for the duration of the transaction,
+* so script includes calling each other share one logging configuration (see xBufferedLogger.LoggerRepository).
+*
+* Levels can be re-read from system properties during the transaction (on each flush(), or each import set row), with
+* optional time-boxed overrides such as "debug until 14:30" (see watchLevelProperty() and setLogLevelUntil()).
+*
+* Transaction-scoped diagnostic context can be attached to every statement without prefixing each message by hand:
+* key/value pairs via the Mapped Diagnostic Context (xBufferedLogger.MDC) and a nested context stack via the Nested
+* Diagnostic Context (xBufferedLogger.NDC).  Both are snapshotted into each entry at the moment it is logged.
+*
+* Besides the level check, log4j style filter chains (see xBufferedLogger.Filter) can be attached to a logger, to
+* decide which statements are buffered, and to individual appenders, to decide which entries each of them writes.
+*
+* Sensitive data (passwords, tokens, card numbers, email addresses, custom patterns) can be masked out of every
+* statement as it is logged (see setMaskingEnabled() and the xBufferedLogger.Masker class).
+*
+* Steps of the calling code can be timed with startTimer()/stopTimer() and checkpoint(), optionally ending the output
+* of flush() with a timing summary per timer name (see setTimingSummaryEnabled()).
+*
+* The logger keeps per-level counts of what was logged since the last flush (see getSummary()), which flushIf() uses
+* to only write the buffer if something at or above a given level was logged ("buffer until error").
+*
+* Repeated statements can be collapsed into a single entry with a repeat count (see setCollapseRepeats()), and the
+* number of occurrences per message buffered per flush can be capped (see setRateLimit()).
+*
+* Logs too large for syslog or import_log message fields can be exported as text, JSON or CSV attachment(s) on any
+* record, leaving a pointer entry for the other appenders (see setAttachmentExport()).
+*
 * WARNING: BE CAREFUL HOW YOU USE THIS.  Because all logged content stays in memory, you could easily consume all the
 * memory and crash the instance node if you log too much at once.  Make sure you understand the upper bound on how much
-* your calling code might log before using it.
+* your calling code might log before using it, or cap the buffer with setMaxEntries()/setMaxChars() (see the
+* xBufferedLogger.OVERFLOW_POLICY enum for what happens once a limit is reached).  The buffer is unbounded by default.
 *
 * Copyright 2026 github.com/derekpage3
 *
@@ -29,69 +71,259 @@
 var xBufferedLogger = Class.create();
 xBufferedLogger.prototype = {
 
-    //array of log statements to be logged.
+    //array of log entries to be logged (see _createEntry() for the structure of each entry).
     stmtQueue: null,
 
-    //logging level.
+    //logging level; null if inherited from the parent logger (repository loggers only).
     currentLevel: null,
 
+    //time-boxed level override ({level, until}) taking precedence over currentLevel until it expires, or null.
+    _levelOverride: null,
+
+    //system property the level is re-read from ({propertyName, defaultLevel, lastValue}), or null (see
+    //watchLevelProperty()).
+    _levelWatch: null,
+
+    //parent logger in the logger hierarchy; null for standalone loggers and the root logger.
+    _parent: null,
+
+    //if true, flush() also writes to the appenders of the parent logger(s).
+    _additive: true,
+
+    //name of this logger; recorded on every entry it logs.
+    _name: null,
+
+    //layout (see xBufferedLogger.Layout) used to format entries on flush().
+    _layout: null,
+
+    //time the logger was created (ms since the epoch); entries record their elapsed time relative to it.
+    _startTime: null,
+
+    //sequence number of the last entry logged.
+    _sequence: 0,
+
+    //array of appenders (see xBufferedLogger.Appender) that flushed statements are written to.
+    _appenders: null,
+
+    //filter chain (see xBufferedLogger.Filter) deciding which statements passing the level check are buffered.
+    _filters: null,
+
+    //masker (see xBufferedLogger.Masker) applied to every entry logged; null if inherited from the parent logger,
+    //false if masking is turned off for this logger.
+    _masker: null,
+
+    //start times (ms since the epoch) of the running timers, by timer name.
+    _timers: null,
+
+    //{count, total, min, max} per timer name, for the timers stopped since the last flush() (see getTimerStats()).
+    _timerStats: null,
+
+    //level timer and checkpoint statements are logged at.
+    _timerLevel: null,
+
+    //time of the last checkpoint (ms since the epoch); the logger's start time if there hasn't been one yet.
+    _lastCheckpoint: null,
+
+    //if true, flush() ends with a summary table of the timer statistics.
+    _timingSummaryEnabled: false,
+
+    //statistics of the statements logged since the last flush() (see getSummary()).
+    _summary: null,
+
+    //if true, consecutive identical statements are collapsed into one entry (see setCollapseRepeats()).
+    _collapseRepeats: false,
+
+    //maximum occurrences per message key per flush(); 0 means unlimited (see setRateLimit()).
+    _defaultRateLimit: 0,
+    _rateLimits: null,
+
+    //occurrences buffered and suppressed since the last flush(), by message key.
+    _rateCounts: null,
+    _rateSuppressed: null,
+
     //separator char to use when outputting logs. defaults to \n, but can be overridden if the scenario
     //requires it (ex. changing it to a <br /> for HTML based reports).
     _separatorChar: '\n',
 
+    //buffer limits; 0 means unlimited.
+    _maxEntries: 0,
+    _maxChars: 0,
+
+    //total characters of the messages currently in the queue.
+    _bufferedChars: 0,
+
+    //what to do when a buffer limit is reached (see xBufferedLogger.OVERFLOW_POLICY).
+    _overflowPolicy: null,
+
+    //appender the buffer is flushed to under the FLUSH overflow policy.
+    _overflowAppender: null,
+
+    //{appender, minLength} the flushed entries are exported to instead of the other appenders, which get a pointer
+    //entry to the attachment(s); null if not exporting (see setAttachmentExport()).
+    _attachmentExport: null,
+
+    //counts of what the overflow policy has done since the last flush() (see getOverflowStats()).
+    _overflowStats: null,
+
+    //true once a buffer limit was reached under the TRUNCATE overflow policy; kept across flushes of this logger
+    //(other loggers, including new ones in the same transaction, keep buffering).
+    _truncated: false,
+
     /**
      * Initializes a new buffered logger.  The log queue is set to an empty array and the log level defaulted
 	 * to ERROR level.
+	 *
+	 * @param {string} name - [optional] name of the logger, recorded on every entry it logs; defaults to the type
+	 *                        of the logger.
      */
-    initialize: function() {
+    initialize: function(name) {
+        this._name = gs.nil(name) ? this.type : ("" + name);
+        this._startTime = new Date().getTime();
+        this._sequence = 0;
 
         //default to ERROR level on creation. Caller can change if needed.
         this.setLogLevelError();
 
+        //default to the simple "[LEVEL]: message" format. Caller can change if needed.
+        this._layout = new xBufferedLogger.SimpleLayout();
+
         //init statement queue
         this.stmtQueue = [];
+        this._bufferedChars = 0;
+        this._overflowPolicy = xBufferedLogger.OVERFLOW_POLICY.DROP_OLDEST;
+        this._resetOverflowStats();
+
+        //no appenders by default; flush() only returns the combined string unless the caller adds some.
+        this._appenders = [];
+        this._filters = [];
+
+        this._timers = {};
+        this._timerStats = {};
+        this._timerLevel = xBufferedLogger.LOG_LEVEL.DEBUG;
+        this._lastCheckpoint = this._startTime;
+
+        this._resetSummary();
+
+        this._rateLimits = {};
+        this._resetRateCounts();
     },
 
 
     ///////////////////////////////////////////// PUBLIC LOGGING API /////////////////////////////////////////////
     //                                                                                                          //
-    // Log writing methods.                                                                                     //
+    // Log writing methods.  All of them accept either:                                                         //
+    //                                                                                                          //
+    //   - a parameterized message followed by its arguments, ex. debug("Row {} mapped to {}", a, b).  Each {}  //
+    //     is replaced by the next argument (\\{} outputs a literal {}); if there are more arguments than       //
+    //     placeholders and the last one is an exception, it is captured as the entry's throwable.              //
+    //   - a supplier function returning the message, ex. debug(function() { return JSON.stringify(big); }).    //
+    //                                                                                                          //
+    // Either way, the message is only built if the level is enabled.  Arguments (and non-string messages) are  //
+    // rendered safely: GlideRecords as "table:sys_id", plain objects/arrays as JSON, functions by calling      //
+    // them, and anything else via a guarded toString() (see _renderArg()).                                     //
     //                                                                                                          //
     //////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
+	/**
+	 * Write a TRACE level log to the queue.
+	 */
+    trace: function(message) {
+        this._doLogArgs(xBufferedLogger.LOG_LEVEL.TRACE, arguments, false);
+    },
+
 	/**
 	 * Write a DEBUG level log to the queue.
 	 */
     debug: function(message) {
-        this._doLog(message, xBufferedLogger.LOG_LEVEL.DEBUG);
+        this._doLogArgs(xBufferedLogger.LOG_LEVEL.DEBUG, arguments, false);
     },
 
 	/**
 	 * Write a INFO level log to the queue.
 	 */
     info: function(message) {
-        this._doLog(message, xBufferedLogger.LOG_LEVEL.INFO);
+        this._doLogArgs(xBufferedLogger.LOG_LEVEL.INFO, arguments, false);
     },
 
 	/**
 	 * Write a WARN level log to the queue.
 	 */
     warn: function(message) {
-        this._doLog(message, xBufferedLogger.LOG_LEVEL.WARN);
+        this._doLogArgs(xBufferedLogger.LOG_LEVEL.WARN, arguments, false);
     },
 
 	/**
 	 * Write a ERROR level log to the queue.
+	 *
+	 * @param {string} message - the message to log.  If an Error is passed instead (ex. logger.error(ex)), it is
+	 *                           used as both the message and the throwable.
+	 * @param {object} throwable - [optional] the caught exception (JavaScript error, or Java exception) to capture
+	 *                             along with the message (name, message, line number, stack and cause chain).  If
+	 *                             the message has no {} placeholders, the second parameter is always treated as the
+	 *                             throwable, whatever its type.
 	 */
-    error: function(message) {
-        this._doLog(message, xBufferedLogger.LOG_LEVEL.ERROR);
+    error: function(message, throwable) {
+        this._doLogArgs(xBufferedLogger.LOG_LEVEL.ERROR, arguments, true);
     },
 
 	/**
 	 * Write a FATAL level log to the queue.
+	 *
+	 * @param {string} message - the message to log.  If an Error is passed instead (ex. logger.fatal(ex)), it is
+	 *                           used as both the message and the throwable.
+	 * @param {object} throwable - [optional] the caught exception to capture along with the message (see error()).
+	 */
+    fatal: function(message, throwable) {
+        this._doLogArgs(xBufferedLogger.LOG_LEVEL.FATAL, arguments, true);
+    },
+
+	/**
+	 * @param {object} level - the level to log at (one of the xBufferedLogger.LOG_LEVEL values, including custom levels
+	 *                         registered with xBufferedLogger.registerLevel(), but excluding the ALL and OFF thresholds).
+	 * @param {string} message - the message to log (or a supplier function returning it, see the logging methods).
+	 * @param {object} context - [optional] map of additional fields to record on the entry (ex. {row: 12}).
+	 * @param {object} throwable - [optional] a caught exception to capture along with the message (see error()).
+	 *
+	 * Write a log of the specified level to the queue.
+	 */
+    log: function(level, message, context, throwable) {
+        if (gs.nil(level) || gs.nil(level.value))
+            throw "xBufferedLogger.log: parameter 'level' must be one of the xBufferedLogger.LOG_LEVEL values!";
+        if (level.value == xBufferedLogger.LOG_LEVEL.ALL.value || level.value == xBufferedLogger.LOG_LEVEL.OFF.value)
+            throw "xBufferedLogger.log: level '" + level.name + "' is a threshold only and can't be logged at!";
+
+        this._doLog(message, level, context, throwable);
+    },
+
+	/**
+	 * @return {string} the name of this logger.
+	 */
+    getName: function() {
+        return this._name;
+    },
+
+	/**
+	 * Setter method for the layout used to format entries on flush().
+	 */
+    setLayout: function(layout) {
+        if (gs.nil(layout) || typeof layout.format != 'function')
+            throw "xBufferedLogger.setLayout: parameter 'layout' must implement format()!";
+        this._layout = layout;
+    },
+	/**
+	 * Getter method for the layout used to format entries on flush().
+	 */
+    getLayout: function() {
+        return this._layout;
+    },
+
+	/**
+	 * @param {string} pattern - log4j style conversion pattern (see xBufferedLogger.PatternLayout).
+	 *
+	 * Shortcut for setLayout(new xBufferedLogger.PatternLayout(pattern)).
 	 */
-    fatal: function(message) {
-        this._doLog(message, xBufferedLogger.LOG_LEVEL.FATAL);
+    setLayoutPattern: function(pattern) {
+        this.setLayout(new xBufferedLogger.PatternLayout(pattern));
     },
 
 	/**
@@ -107,178 +339,3445 @@ xBufferedLogger.prototype = {
         return this._separatorChar;
     },
 
+	/**
+	 * @param {object} minLevel - [optional] only return entries at or above this level (an xBufferedLogger.LOG_LEVEL
+	 *                            value or its numeric value).
+	 * @return {Array} copy of the entries currently in the queue (see _createEntry() for their structure).
+	 */
+    getEntries: function(minLevel) {
+        var minValue = gs.nil(minLevel) ? null : this._getLevelValue(minLevel);
+        var entries = [];
+        for (var i = 0; i < this.stmtQueue.length; i++) {
+            if (minValue == null || this.stmtQueue[i].level.value >= minValue)
+                entries.push(this.stmtQueue[i]);
+        }
+        return entries;
+    },
+
+	/**
+	 * @param {Array} entries - the entries to format (ex. the result of getEntries()).
+	 * @param {xBufferedLogger.Layout} layout - [optional] the layout to format with; defaults to the logger's layout.
+	 * @return {string} the formatted entries, joined by the configured separator char.
+	 */
+    formatEntries: function(entries, layout) {
+        layout = layout || this.getLayout();
+
+        var lines = [];
+        var header = (layout.getHeader) ? layout.getHeader() : null;
+        if (!gs.nil(header))
+            lines.push(header);
+        for (var i = 0; i < entries.length; i++)
+            lines.push(layout.format(entries[i]));
+        var footer = (layout.getFooter) ? layout.getFooter() : null;
+        if (!gs.nil(footer))
+            lines.push(footer);
+
+        return lines.join(this.getSeparatorChar());
+    },
+
     /**
      * @return {string} joined string (joined by the configured separator char) of all logs in the queue.
      * 
-     * Builds a string of all queued up log statements, clears the log queue and returns the final results.
+     * Formats all queued up log entries, writes them to all registered appenders, clears the log queue and returns
+     * the final results.
      */
     flush: function() {
+        return this._flush(this.getEffectiveAppenders());
+    },
 
-        //write to the debug log
-        try {
+	/**
+	 * @param {object} minLevel - the level that triggers the flush (any value accepted by setLogLevel()).
+	 * @return {string} the result of flush() if at least one statement at or above minLevel was logged since the last
+	 *                  flush; otherwise, an empty string.
+	 *
+	 * "Buffer until error": flushes the entire buffer (DEBUG statements included, if the logger's level lets them in)
+	 * only if something at or above minLevel was logged, and silently discards it otherwise (see discard()).  Ex.:
+	 *
+	 *     logger.setLogLevelDebug();
+	 *     ...
+	 *     logger.flushIf("error");  //full DEBUG trail of the transactions that failed, nothing for the others
+	 */
+    flushIf: function(minLevel) {
+        if (gs.nil(minLevel))
+            throw "xBufferedLogger.flushIf: parameter 'minLevel' is required!";
+        var level = xBufferedLogger.toLevel(minLevel);
+        if (level == null)
+            throw "xBufferedLogger.flushIf: Invalid log level '" + minLevel + "' specified";
 
-            //return an Array.join() with newlines between.
-            return this.stmtQueue.join(this.getSeparatorChar());
+        var maxLevel = this._summary.maxLevel;
+        if (maxLevel != null && maxLevel.value >= level.value)
+            return this.flush();
 
-        } catch (err) {
+        this.discard();
+        return "";
+    },
 
-            //logging should never throw exceptions that might cause otherwise valid program execution to stop.
-            //This really should never happen except for maybe if an object was passed in that's a Java object
-            //that doesn't implement toString(). which would cause the string concatention to throw an exception.
-            //In that unlikely event, prevent logging problems from terminating the program.
-        } finally {
+	/**
+	 * @return {number} the number of entries discarded.
+	 *
+	 * Empties the buffer without writing it anywhere, and resets the statistics kept since the last flush (summary,
+	 * timer, overflow and rate limit statistics).
+	 */
+    discard: function() {
+        var count = this.stmtQueue.length;
+        this._clearStmtQueue();
+        this._resetSummary();
+        this._timerStats = {};
+        this._resetOverflowStats();
+        this._resetRateCounts();
+        return count;
+    },
+
+    ///////////////////////////////////////////////// APPENDERS //////////////////////////////////////////////////
+    //                                                                                                          //
+    // Methods for managing the destinations buffered statements are written to when flush() is called.        //
+    //                                                                                                          //
+    //////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/**
+	 * @param {xBufferedLogger.Appender} appender - the appender to write flushed statements to.
+	 * @return {xBufferedLogger.Appender} the appender that was added.
+	 *
+	 * Registers an appender with this logger.  Every subsequent flush() will write the buffered statements to it, in
+	 * the order appenders were added.
+	 */
+    addAppender: function(appender) {
+        if (gs.nil(appender))
+            throw "xBufferedLogger.addAppender: parameter 'appender' is required!";
+        if (typeof appender.doAppend != 'function')
+            throw "xBufferedLogger.addAppender: parameter 'appender' must implement doAppend()!";
+
+        this._appenders.push(appender);
+        return appender;
+    },
 
-            //always clear the stmt queue after logging it.
-            this._clearStmtQueue();
+	/**
+	 * @param {xBufferedLogger.Appender|string} appender - the appender (or the name of the appender) to remove.
+	 * @return {boolean} true if an appender was removed; false otherwise.
+	 */
+    removeAppender: function(appender) {
+        if (gs.nil(appender))
+            throw "xBufferedLogger.removeAppender: parameter 'appender' is required!";
+
+        for (var i = 0; i < this._appenders.length; i++) {
+            var curr = this._appenders[i];
+            if (curr === appender || (typeof appender == 'string' && curr.getName && curr.getName() == appender)) {
+                this._appenders.splice(i, 1);
+                return true;
+            }
         }
+        return false;
     },
 
-    ////////////////////////////////////////////// LOG LEVEL SETTERS /////////////////////////////////////////////
+	/**
+	 * Removes all appenders from this logger.
+	 */
+    removeAllAppenders: function() {
+        this._appenders = [];
+    },
+
+	/**
+	 * @return {Array} copy of the list of appenders registered with this logger.
+	 */
+    getAppenders: function() {
+        return this._appenders.slice();
+    },
+
+	/**
+	 * @return {Array} the appenders flush() writes to: this logger's own appenders, followed by those of its
+	 *                 ancestors in the logger hierarchy (stopping at the first logger with additivity turned off).
+	 */
+    getEffectiveAppenders: function() {
+        var appenders = [];
+        for (var logger = this; logger != null; logger = logger._parent) {
+            appenders = appenders.concat(logger._appenders);
+            if (!logger._additive)
+                break;
+        }
+        return appenders;
+    },
+
+	/**
+	 * @param {xBufferedLogger.AttachmentAppender} appender - the appender to export the flushed entries to, or null to
+	 *                                                        stop exporting.
+	 * @param {number} minLength - [optional] only export when the flushed content (as formatted by this logger's
+	 *                             layout) is at least this many characters long (default 0: always export).
+	 *
+	 * Exports flushed entries as attachment(s) instead of writing them to the other appenders, which get a single
+	 * pointer entry to the attachment(s) instead (with the level of the most severe entry exported).  Useful for logs
+	 * large enough to be truncated in syslog or import_log message fields.  If the export fails, the entries are
+	 * written to the other appenders as usual.
+	 */
+    setAttachmentExport: function(appender, minLength) {
+        if (appender == null) {
+            this._attachmentExport = null;
+            return;
+        }
+        if (typeof appender.doAppend != 'function' || typeof appender.getLastAttachments != 'function')
+            throw "xBufferedLogger.setAttachmentExport: parameter 'appender' must be an xBufferedLogger.AttachmentAppender!";
+        if (!gs.nil(minLength) && (isNaN(parseInt(minLength, 10)) || parseInt(minLength, 10) < 0))
+            throw "xBufferedLogger.setAttachmentExport: parameter 'minLength' must be a number >= 0!";
+
+        this._attachmentExport = {appender: appender, minLength: gs.nil(minLength) ? 0 : parseInt(minLength, 10)};
+    },
+
+	/**
+	 * @return {xBufferedLogger.AttachmentAppender} the appender flushed entries are exported to, or null.
+	 */
+    getAttachmentExport: function() {
+        return (this._attachmentExport != null) ? this._attachmentExport.appender : null;
+    },
+
+	/**
+	 * @param {boolean} additive - if false, flush() will not write to the appenders of this logger's ancestors.
+	 */
+    setAdditivity: function(additive) {
+        this._additive = (additive !== false);
+    },
+
+    getAdditivity: function() {
+        return this._additive;
+    },
+
+    ////////////////////////////////////////////////// FILTERS ///////////////////////////////////////////////////
     //                                                                                                          //
-    // Methods for modifying the logging level of the logger.                                                   //
+    // Methods for managing the filter chain that decides which statements (that passed the level check) are    //
+    // buffered.  Filters can also be added to individual appenders (see xBufferedLogger.Appender.addFilter()). //
     //                                                                                                          //
     //////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-    setLogLevelDebug: function() {
-        this.setLogLevel(xBufferedLogger.LOG_LEVEL.DEBUG.value);
+	/**
+	 * @param {xBufferedLogger.Filter} filter - the filter to add to the end of this logger's filter chain.
+	 * @return {xBufferedLogger.Filter} the filter that was added.
+	 *
+	 * Filters are consulted in the order they were added; the first one to return ACCEPT or DENY decides whether the
+	 * statement is buffered (see xBufferedLogger.FILTER_RESULT).  If all return NEUTRAL, the statement is buffered.
+	 */
+    addFilter: function(filter) {
+        if (gs.nil(filter))
+            throw "xBufferedLogger.addFilter: parameter 'filter' is required!";
+        if (typeof filter.decide != 'function')
+            throw "xBufferedLogger.addFilter: parameter 'filter' must implement decide()!";
+
+        this._filters.push(filter);
+        return filter;
     },
 
-    setLogLevelInfo: function() {
-        this.setLogLevel(xBufferedLogger.LOG_LEVEL.INFO.value);
+	/**
+	 * @param {xBufferedLogger.Filter|string} filter - the filter (or the name of the filter) to remove.
+	 * @return {boolean} true if a filter was removed; false otherwise.
+	 */
+    removeFilter: function(filter) {
+        if (gs.nil(filter))
+            throw "xBufferedLogger.removeFilter: parameter 'filter' is required!";
+        return xBufferedLogger.Filter.removeFromChain(this._filters, filter);
     },
 
-    setLogLevelWarn: function() {
-        this.setLogLevel(xBufferedLogger.LOG_LEVEL.WARN.value);
+	/**
+	 * Removes all filters from this logger.
+	 */
+    clearFilters: function() {
+        this._filters = [];
     },
 
-    setLogLevelError: function() {
-        this.setLogLevel(xBufferedLogger.LOG_LEVEL.ERROR.value);
+	/**
+	 * @return {Array} copy of this logger's filter chain.
+	 */
+    getFilters: function() {
+        return this._filters.slice();
     },
 
-    setLogLevelFatal: function() {
-        this.setLogLevel(xBufferedLogger.LOG_LEVEL.FATAL.value);
+    ////////////////////////////////////////////////// MASKING ///////////////////////////////////////////////////
+    //                                                                                                          //
+    // Methods for masking sensitive data (passwords, tokens, card numbers, etc.) in logged statements.  Masking //
+    // is applied as each statement is logged, so unmasked values never reach the buffer, appenders or flush(). //
+    //                                                                                                          //
+    //////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/**
+	 * @param {boolean} enabled - true to mask logged statements with this logger's masker (created with the built-in
+	 *                            rules if it doesn't have one yet); false to turn masking off for this logger.
+	 */
+    setMaskingEnabled: function(enabled) {
+        if (enabled === false)
+            this._masker = false;
+        else if (!this._masker)
+            this._masker = new xBufferedLogger.Masker();
     },
 
 	/**
-     * Allows for manually setting the logger level value
-	 * 
-	 * WARNING: The provided log level value MUST be one of the levels defined in the xBufferedLogger.LOG_LEVEL enum.
-	 * Any other value provided will result in an exception.
-     */
-    setLogLevel: function(logLevelVal) {
-        if (logLevelVal == null || logLevelVal == undefined)
-            throw "xBufferedLogger.setLogLevel: xBufferedLogger: must specify log level upon creation!";
+	 * @return {boolean} true if statements logged to this logger are masked (by its own or an inherited masker).
+	 */
+    isMaskingEnabled: function() {
+        return this.getEffectiveMasker() != null;
+    },
 
-        //clear any previously set log level
-        this.currentLevel = null;
+	/**
+	 * @param {xBufferedLogger.Masker} masker - the masker to apply to logged statements (ex. one shared by several
+	 *                                          loggers); null to inherit the parent logger's masker.
+	 */
+    setMasker: function(masker) {
+        if (masker != null && typeof masker.mask != 'function')
+            throw "xBufferedLogger.setMasker: parameter 'masker' must implement mask()!";
+        this._masker = (masker == null) ? null : masker;
+    },
 
-        //Ensure specified level is valid
-        for (var i in xBufferedLogger.LOG_LEVEL) {
-            if (logLevelVal == xBufferedLogger.LOG_LEVEL[i].value) {
-                this.currentLevel = xBufferedLogger.LOG_LEVEL[i];
-                break;
-            }
-        }
-        if (this.currentLevel == null)
-            throw "xBufferedLogger: Invalid log level '" + logLevelVal + "' specified";
+	/**
+	 * @return {xBufferedLogger.Masker} this logger's own masker, or null if it doesn't have one.
+	 */
+    getMasker: function() {
+        return this._masker || null;
     },
 
 	/**
-	 * @param {string} propertyName - the name (including prefix if applicable) of the system property to configure the log level from.
-	 * @return {void}
-	 * 
-	 * This method allows for setting the logger's log level via a specified system property's value.
-	 * 
-	 * WARNING: If the specified system property doesn't exist, is blank, or has an invalid value, this method will throw an exception. Take
-	 * care to ensure your system property always has a correct value set when using this method.
+	 * @return {xBufferedLogger.Masker} the masker applied to statements logged to this logger: its own, or the nearest
+	 *                                  ancestor's.  Null if masking is off.
 	 */
-	setLogLevelBySysProperty: function(propertyName) {
-		if (gs.nil(propertyName))
-			throw "xBufferedLogger.setLogLevelBySysProperty: parameter 'propertyName' is required!";
-		propertyName = ((typeof propertyName) == 'string') ? propertyName : ("" + propertyName);  //ensure string.
+    getEffectiveMasker: function() {
+        for (var logger = this; logger != null; logger = logger._parent) {
+            if (logger._masker === false)
+                return null;
+            if (logger._masker != null)
+                return logger._masker;
+        }
+        return null;
+    },
 
-		//Get value of the specified system property name
-		var propVal = gs.getProperty(propertyName, "");
-		if (gs.nil(propVal))
-			throw "xBufferedLogger.setLogLevelBySysProperty: System property '" + propertyName + "' is either not set or doesn't exist!";
-
-		//If not an integer then property's value is not a valid log level.
-		var propValInt = parseInt(propVal);
-		if (isNaN(propValInt))
-			throw "xBufferedLogger.setLogLevelBySysProperty: System property '" + propertyName + "' value is '" + propVal 
-				+ "' is not an integer and therefore is not a valid log level!";
-
-		//Attempt setting to specified log level.
-		try {
-			this.setLogLevel(propValInt);
-		
-		//If the call to setLogLevel errors then the configured system property value isn't a valid logging level.
-		} catch (ex) {
-			throw "xBufferedLogger.setLogLevelBySysProperty: System property '" + propertyName + "' value is '" + propVal 
-				+ "', which is not a valid log level (must be an integer)!";
-		}
-	},
+	/**
+	 * @param {string} name - name of the rule (a rule with the same name is replaced).
+	 * @param {RegExp|string} pattern - regular expression matching the sensitive data.
+	 * @param {string|function} replacement - [optional] replacement, as for String.replace() (default "****").
+	 * @return {xBufferedLogger.Masker} the masker the rule was added to.
+	 *
+	 * Adds a masking rule to this logger's own masker, enabling masking (with the built-in rules) if needed.
+	 */
+    addMaskingRule: function(name, pattern, replacement) {
+        this.setMaskingEnabled(true);
+        this._masker.addRule(name, pattern, replacement);
+        return this._masker;
+    },
 
-    ////////////////////////////////////////////// LOG LEVEL GETTERS /////////////////////////////////////////////
+    /////////////////////////////////////////////////// TIMERS ///////////////////////////////////////////////////
     //                                                                                                          //
-    // Methods for querying if the current level of the logger is at or below a specified level.  Can be used   //
-    // by code to only do certain levels of logging if that level is enabled (mainly useful for skipping        //
-    // calculations and string building done for debug logs if debug logging is not enabled).                   //
+    // Methods for timing steps of the calling code (ex. slow transform map scripts) without computing          //
+    // new Date().getTime() deltas by hand.  Elapsed times are logged at the timer level (DEBUG by default, see //
+    // setTimerLevel()), and can be summarized per timer name at the end of flush() (see setTimingSummaryEnabled()). //
     //                                                                                                          //
     //////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-    isDebugLevelEnabled: function() {
-        return (this.currentLevel.value <= xBufferedLogger.LOG_LEVEL.DEBUG.value);
+	/**
+	 * @param {string} name - name of the timer.  Starting a timer that's already running restarts it.
+	 */
+    startTimer: function(name) {
+        if (gs.nil(name))
+            throw "xBufferedLogger.startTimer: parameter 'name' is required!";
+        this._timers["" + name] = new Date().getTime();
     },
 
-    isInfoLevelEnabled: function() {
-        return (this.currentLevel.value <= xBufferedLogger.LOG_LEVEL.INFO.value);
-    },
+	/**
+	 * @param {string} name - name of the timer to stop.
+	 * @param {object} level - [optional] level to log the elapsed time at (default: the timer level).
+	 * @return {number} ms elapsed since the timer was started, or null if it wasn't running.
+	 *
+	 * Stops the timer, logs "Timer 'name' stopped after N ms" (with {timer, elapsedMs} as the entry's context) and
+	 * adds the elapsed time to the timer's statistics.  Stopping a timer that isn't running logs a WARN instead.
+	 */
+    stopTimer: function(name, level) {
+        if (gs.nil(name))
+            throw "xBufferedLogger.stopTimer: parameter 'name' is required!";
+        name = "" + name;
 
-    isWarnLevelEnabled: function() {
-        return (this.currentLevel.value <= xBufferedLogger.LOG_LEVEL.WARN.value);
+        if (!this._timers.hasOwnProperty(name)) {
+            this.warn("Timer '" + name + "' was stopped without being started");
+            return null;
+        }
+        var elapsed = new Date().getTime() - this._timers[name];
+        delete this._timers[name];
+
+        var stats = this._timerStats[name];
+        if (!stats)
+            stats = this._timerStats[name] = {count: 0, total: 0, min: elapsed, max: elapsed};
+        stats.count++;
+        stats.total += elapsed;
+        stats.min = Math.min(stats.min, elapsed);
+        stats.max = Math.max(stats.max, elapsed);
+
+        this._doLog("Timer '" + name + "' stopped after " + elapsed + " ms", this._getTimerLevel(level, "stopTimer"),
+            {timer: name, elapsedMs: elapsed});
+        return elapsed;
     },
 
-    isErrorLevelEnabled: function() {
-        return (this.currentLevel.value <= xBufferedLogger.LOG_LEVEL.ERROR.value);
+	/**
+	 * @param {string} label - label of the checkpoint, ex. "target record updated".
+	 * @param {object} level - [optional] level to log the checkpoint at (default: the timer level).
+	 * @return {number} ms elapsed since the previous checkpoint (or the creation of the logger, if none).
+	 *
+	 * Logs "Checkpoint 'label' at N ms (+M ms)": the time elapsed since the creation of the logger, and since the
+	 * previous checkpoint (with {checkpoint, elapsedMs, sinceLastMs} as the entry's context).
+	 */
+    checkpoint: function(label, level) {
+        var now = new Date().getTime();
+        var sinceLast = now - this._lastCheckpoint;
+        var elapsed = now - this._startTime;
+        this._lastCheckpoint = now;
+
+        label = gs.nil(label) ? "" : ("" + label);
+        this._doLog("Checkpoint '" + label + "' at " + elapsed + " ms (+" + sinceLast + " ms)",
+            this._getTimerLevel(level, "checkpoint"), {checkpoint: label, elapsedMs: elapsed, sinceLastMs: sinceLast});
+        return sinceLast;
     },
 
-    isFatalLevelEnabled: function() {
-        return (this.currentLevel.value <= xBufferedLogger.LOG_LEVEL.FATAL.value);
+	/**
+	 * @param {object} level - the level timer and checkpoint statements are logged at when no level is passed to
+	 *                         stopTimer()/checkpoint() (any value accepted by setLogLevel()).  Default DEBUG.
+	 */
+    setTimerLevel: function(level) {
+        this._timerLevel = this._getTimerLevel(level, "setTimerLevel");
     },
 
+    getTimerLevel: function() {
+        return this._timerLevel;
+    },
 
-    //////////////// INTERNAL FUNCTIONS /////////////////
+	/**
+	 * @param {boolean} enabled - if true, flush() ends with a summary table of the count, total, min, max and average
+	 *                            elapsed times per timer name (for the timers stopped since the previous flush()).
+	 */
+    setTimingSummaryEnabled: function(enabled) {
+        this._timingSummaryEnabled = (enabled === true);
+    },
 
-    _doLog: function(message, level) {
+    isTimingSummaryEnabled: function() {
+        return this._timingSummaryEnabled;
+    },
 
-        //if intended log message's level is less than the current level, then discard this message.
-        if (this.currentLevel.value > level.value) {
-            return;
+	/**
+	 * @return {object} the statistics of the timers stopped since the last flush(), by timer name:
+	 *                  {count, total, min, max, average} (all in ms, except count).
+	 */
+    getTimerStats: function() {
+        var result = {};
+        for (var name in this._timerStats) {
+            var stats = this._timerStats[name];
+            result[name] = {
+                count: stats.count,
+                total: stats.total,
+                min: stats.min,
+                max: stats.max,
+                average: Math.round(stats.total / stats.count)
+            };
         }
+        return result;
+    },
+
+    ////////////////////////////////////////////////// SUMMARY ///////////////////////////////////////////////////
+    //                                                                                                          //
+    // Statistics of the statements logged since the last flush() (or discard()).                               //
+    //                                                                                                          //
+    //////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-        //Add statement to queue, prepending with Level display value.
-        this.stmtQueue.push(level.label + ": " + message);
+	/**
+	 * @return {object} statistics of the statements logged since the last flush() (or discard()), including those
+	 *                  suppressed by a rate limit or dropped by the overflow policy (so flushIf() can't miss them):
+	 *
+	 *     total          {number} number of statements logged.
+	 *     counts         {object} number of statements logged per level name, ex. {DEBUG: 120, WARN: 2}.
+	 *     maxLevel       {object} the most severe xBufferedLogger.LOG_LEVEL value logged, or null.
+	 *     firstTimestamp {number} time the first statement was logged (ms since the epoch), or null.
+	 *     lastTimestamp  {number} time the last statement was logged (ms since the epoch), or null.
+	 */
+    getSummary: function() {
+        var counts = {};
+        for (var name in this._summary.counts)
+            counts[name] = this._summary.counts[name];
+        return {
+            total: this._summary.total,
+            counts: counts,
+            maxLevel: this._summary.maxLevel,
+            firstTimestamp: this._summary.firstTimestamp,
+            lastTimestamp: this._summary.lastTimestamp
+        };
     },
 
-    _clearStmtQueue: function() {
+	/**
+	 * @param {object} level - the level to count (any value accepted by setLogLevel()).
+	 * @return {number} the number of statements logged at exactly that level since the last flush() (or discard()).
+	 */
+    getCount: function(level) {
+        var resolved = xBufferedLogger.toLevel(level);
+        if (resolved == null)
+            throw "xBufferedLogger.getCount: Invalid log level '" + level + "' specified";
+        return this._summary.counts[resolved.name] || 0;
+    },
 
-        //setting a new array into stmtQueue will effectively clear it.
-        this.stmtQueue = [];
+    ////////////////////////////////////////// REPEATS AND RATE LIMITS ///////////////////////////////////////////
+    //                                                                                                          //
+    // Methods for keeping loops that log the same statement over and over from bloating the buffer and output. //
+    //                                                                                                          //
+    //////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/**
+	 * @param {boolean} enabled - if true, a statement identical to the previous one (same level, message and
+	 *                            exception) isn't buffered again; instead the previous entry's repeatCount is increased
+	 *                            and rendered as "... repeated N times" by the layouts.
+	 */
+    setCollapseRepeats: function(enabled) {
+        this._collapseRepeats = (enabled === true);
     },
 
-    version: "20240519",
+    isCollapseRepeats: function() {
+        return this._collapseRepeats;
+    },
 
-    type: 'xBufferedLogger'
-};
+	/**
+	 * @param {number} maxOccurrences - maximum number of times a statement with the same message key is buffered per
+	 *                                  flush(); 0 (or nil) for unlimited.  Further occurrences are suppressed and
+	 *                                  tallied in a WARN entry at the end of the flush() output.
+	 * @param {string} messageKey - [optional] the message key the limit applies to; if not specified, the limit
+	 *                              applies to every message key without a limit of its own.
+	 *
+	 * The message key of a statement is its message before any {} placeholders are replaced, so for example all
+	 * logger.warn("Row {} has no manager", rowNum) statements share one limit.
+	 */
+    setRateLimit: function(maxOccurrences, messageKey) {
+        var limit = this._toLimit(maxOccurrences, "setRateLimit");
+        if (gs.nil(messageKey))
+            this._defaultRateLimit = limit;
+        else
+            this._rateLimits["" + messageKey] = limit;
+    },
 
-/**
- * This enum defines the logging levels supported by this class.
- * Based off the values in the log4j 1.2 implementation.
+	/**
+	 * @param {string} messageKey - [optional] the message key to get the limit of.
+	 * @return {number} the rate limit of the given message key (or the default rate limit); 0 if unlimited.
+	 */
+    getRateLimit: function(messageKey) {
+        if (!gs.nil(messageKey) && this._rateLimits.hasOwnProperty("" + messageKey))
+            return this._rateLimits["" + messageKey];
+        return this._defaultRateLimit;
+    },
+
+	/**
+	 * @return {object} the number of statements suppressed by rate limits since the last flush(), by message key.
+	 */
+    getSuppressedCounts: function() {
+        var result = {};
+        for (var key in this._rateSuppressed)
+            result[key] = this._rateSuppressed[key];
+        return result;
+    },
+
+    /////////////////////////////////////////////// BUFFER LIMITS ////////////////////////////////////////////////
+    //                                                                                                          //
+    // Methods for capping how much the logger holds in memory, and what to do once a cap is reached.           //
+    //                                                                                                          //
+    //////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/**
+	 * @param {number} maxEntries - maximum number of entries to hold in the buffer (0 or nil for unlimited).
+	 */
+    setMaxEntries: function(maxEntries) {
+        this._maxEntries = this._toLimit(maxEntries, "setMaxEntries");
+    },
+
+    getMaxEntries: function() {
+        return this._maxEntries;
+    },
+
+	/**
+	 * @param {number} maxChars - maximum total characters of the messages held in the buffer (0 or nil for unlimited).
+	 */
+    setMaxChars: function(maxChars) {
+        this._maxChars = this._toLimit(maxChars, "setMaxChars");
+    },
+
+    getMaxChars: function() {
+        return this._maxChars;
+    },
+
+	/**
+	 * @param {string} policy - one of the xBufferedLogger.OVERFLOW_POLICY values.  Setting a policy resumes buffering
+	 *                          if it was stopped by the TRUNCATE policy.
+	 */
+    setOverflowPolicy: function(policy) {
+        for (var i in xBufferedLogger.OVERFLOW_POLICY) {
+            if (policy == xBufferedLogger.OVERFLOW_POLICY[i]) {
+                this._overflowPolicy = xBufferedLogger.OVERFLOW_POLICY[i];
+                this._truncated = false;
+                return;
+            }
+        }
+        throw "xBufferedLogger.setOverflowPolicy: Invalid overflow policy '" + policy + "' specified";
+    },
+
+    getOverflowPolicy: function() {
+        return this._overflowPolicy;
+    },
+
+	/**
+	 * @param {xBufferedLogger.Appender} appender - the appender the buffer is flushed to when a limit is reached under
+	 *                                             the FLUSH overflow policy.  Defaults to a SystemLogAppender using
+	 *                                             the logger's name as source.
+	 */
+    setOverflowAppender: function(appender) {
+        if (!gs.nil(appender) && typeof appender.doAppend != 'function')
+            throw "xBufferedLogger.setOverflowAppender: parameter 'appender' must implement doAppend()!";
+        this._overflowAppender = gs.nil(appender) ? null : appender;
+    },
+
+	/**
+	 * @return {object} counts of what the overflow policy has done since the last flush():
+	 *
+	 *     dropped    {number} entries discarded (oldest under DROP_OLDEST, newest under DROP_NEWEST and TRUNCATE).
+	 *     autoFlushes {number} times the buffer was flushed to the overflow appender under FLUSH.
+	 *     autoFlushed {number} entries written by those auto-flushes.
+	 *     truncated  {boolean} true if buffering was stopped by the TRUNCATE policy (not reset by flush()).
+	 */
+    getOverflowStats: function() {
+        return {
+            dropped: this._overflowStats.dropped,
+            autoFlushes: this._overflowStats.autoFlushes,
+            autoFlushed: this._overflowStats.autoFlushed,
+            truncated: this._truncated
+        };
+    },
+
+    ////////////////////////////////////////////// LOG LEVEL SETTERS /////////////////////////////////////////////
+    //                                                                                                          //
+    // Methods for modifying the logging level of the logger.                                                   //
+    //                                                                                                          //
+    //////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    setLogLevelAll: function() {
+        this.setLogLevel(xBufferedLogger.LOG_LEVEL.ALL.value);
+    },
+
+    setLogLevelTrace: function() {
+        this.setLogLevel(xBufferedLogger.LOG_LEVEL.TRACE.value);
+    },
+
+    setLogLevelDebug: function() {
+        this.setLogLevel(xBufferedLogger.LOG_LEVEL.DEBUG.value);
+    },
+
+    setLogLevelInfo: function() {
+        this.setLogLevel(xBufferedLogger.LOG_LEVEL.INFO.value);
+    },
+
+    setLogLevelWarn: function() {
+        this.setLogLevel(xBufferedLogger.LOG_LEVEL.WARN.value);
+    },
+
+    setLogLevelError: function() {
+        this.setLogLevel(xBufferedLogger.LOG_LEVEL.ERROR.value);
+    },
+
+    setLogLevelFatal: function() {
+        this.setLogLevel(xBufferedLogger.LOG_LEVEL.FATAL.value);
+    },
+
+    setLogLevelOff: function() {
+        this.setLogLevel(xBufferedLogger.LOG_LEVEL.OFF.value);
+    },
+
+	/**
+     * Allows for manually setting the logger level value
+	 *
+	 * @param {object} logLevelVal - the level to set: an xBufferedLogger.LOG_LEVEL value, its numeric value (ex. 40000),
+	 *                               or its case-insensitive name (ex. "debug", "WARN", "off").
+	 *
+	 * WARNING: The provided log level MUST be one of the levels defined in the xBufferedLogger.LOG_LEVEL enum
+	 * (including custom levels registered with xBufferedLogger.registerLevel()).  Any other value provided will result
+	 * in an exception, leaving the current level unchanged.
+     */
+    setLogLevel: function(logLevelVal) {
+        if (logLevelVal == null || logLevelVal == undefined)
+            throw "xBufferedLogger.setLogLevel: xBufferedLogger: must specify log level upon creation!";
+
+        //Ensure specified level is valid
+        var level = xBufferedLogger.toLevel(logLevelVal);
+        if (level == null)
+            throw "xBufferedLogger: Invalid log level '" + logLevelVal + "' specified";
+        this.currentLevel = level;
+    },
+
+	/**
+	 * @param {string} propertyName - the name (including prefix if applicable) of the system property to configure the log level from.
+	 * @param {object} defaultLevel - [optional] the level to fall back to if the property doesn't exist, is blank or has an
+	 *                                invalid value (any value accepted by setLogLevel()).
+	 * @return {void}
+	 * 
+	 * This method allows for setting the logger's log level via a specified system property's value.  The value can either
+	 * be a level's numeric value (ex. 40000) or its case-insensitive name (ex. "error").
+	 * 
+	 * If the property has an invalid value, a WARN entry explaining the problem is added to the buffer (regardless of the
+	 * logger's level) and the logger falls back to the default level if one was specified, or keeps its current level.
+	 *
+	 * WARNING: If the specified system property doesn't exist or is blank and no default level is specified, this method
+	 * will throw an exception.
+	 */
+	setLogLevelBySysProperty: function(propertyName, defaultLevel) {
+		if (gs.nil(propertyName))
+			throw "xBufferedLogger.setLogLevelBySysProperty: parameter 'propertyName' is required!";
+		propertyName = ((typeof propertyName) == 'string') ? propertyName : ("" + propertyName);  //ensure string.
+
+		var hasDefault = !gs.nil(defaultLevel);
+		if (hasDefault && xBufferedLogger.toLevel(defaultLevel) == null)
+			throw "xBufferedLogger.setLogLevelBySysProperty: parameter 'defaultLevel' value '" + defaultLevel + "' is not a valid log level!";
+
+		//Get value of the specified system property name
+		var propVal = gs.getProperty(propertyName, "");
+		if (gs.nil(propVal)) {
+			if (!hasDefault)
+				throw "xBufferedLogger.setLogLevelBySysProperty: System property '" + propertyName + "' is either not set or doesn't exist!";
+			this.setLogLevel(defaultLevel);
+			return;
+		}
+
+		var level = xBufferedLogger.toLevel(propVal);
+		if (level != null) {
+			this.setLogLevel(level);
+			return;
+		}
+
+		//Invalid value: fall back to a safe level and make the misconfiguration visible in the log output.
+		if (hasDefault)
+			this.setLogLevel(defaultLevel);
+		var msg = "xBufferedLogger.setLogLevelBySysProperty: System property '" + propertyName + "' value '" + propVal
+			+ "' is not a valid log level (must be a level name such as 'debug' or 'warn', or its numeric value such as 40000); "
+			+ "using level " + this.getEffectiveLevel().name + " instead.";
+		this._enqueue(this._createEntry(msg, xBufferedLogger.LOG_LEVEL.WARN));
+	},
+
+	/**
+	 * Clears this logger's own level, so that it inherits the effective level of its parent logger.  Only valid for
+	 * loggers obtained from the logger repository (see xBufferedLogger.getLogger()), excluding the root logger.
+	 */
+    inheritLogLevel: function() {
+        if (this._parent == null)
+            throw "xBufferedLogger.inheritLogLevel: logger '" + this.getName() + "' has no parent logger to inherit its level from!";
+        this.currentLevel = null;
+    },
+
+	/**
+	 * @param {object} level - the level to use until the given time (any value accepted by setLogLevel()).
+	 * @param {object} until - when the override expires: a Date, ms since the epoch, or a string in the current
+	 *                         user's time zone, either "HH:mm" (today) or "yyyy-MM-dd HH:mm[:ss]".
+	 *
+	 * Overrides the logger's level until the given time, after which it automatically reverts to its normal level
+	 * (ex. "DEBUG until 14:30").  An override that has already expired is ignored.
+	 */
+    setLogLevelUntil: function(level, until) {
+        var overrideLevel = xBufferedLogger.toLevel(level);
+        if (overrideLevel == null)
+            throw "xBufferedLogger.setLogLevelUntil: Invalid log level '" + level + "' specified";
+        var untilMs = xBufferedLogger.parseTime(until);
+        if (untilMs == null)
+            throw "xBufferedLogger.setLogLevelUntil: Invalid time '" + until + "' specified (must be a Date, ms since the epoch, 'HH:mm' or 'yyyy-MM-dd HH:mm')";
+
+        this._levelOverride = (untilMs > new Date().getTime()) ? {level: overrideLevel, until: untilMs} : null;
+    },
+
+	/**
+	 * Removes a time-boxed level override (see setLogLevelUntil()) before it expires.
+	 */
+    clearLogLevelOverride: function() {
+        this._levelOverride = null;
+    },
+
+	/**
+	 * @return {object} the active time-boxed override of this logger's level ({level, until}), or null.
+	 */
+    getLogLevelOverride: function() {
+        this._expireLevelOverride();
+        return (this._levelOverride == null) ? null : {level: this._levelOverride.level, until: this._levelOverride.until};
+    },
+
+	/**
+	 * @param {string} propertyName - the name of the system property to read the log level from.
+	 * @param {object} defaultLevel - [optional] the level to use if the property is missing or invalid, and once a
+	 *                                time-boxed override expires (any value accepted by setLogLevel()).
+	 *
+	 * Like setLogLevelBySysProperty(), but the property is re-read whenever the level is refreshed: at the start of
+	 * every flush() of this logger (or its descendants), and whenever refreshLevel() or xBufferedLogger.refreshLevels()
+	 * is called (ex. at the start of each import set row), so the level can be changed mid-transaction without a code
+	 * deploy.  Besides a level name or value, the property can hold a time-boxed override, ex. "debug until 14:30" or
+	 * "debug until 2026-10-19 14:30" (in the time zone of the current user), after which the logger reverts to the
+	 * default level (or, without a default, to the level it had before).
+	 */
+    watchLevelProperty: function(propertyName, defaultLevel) {
+        if (gs.nil(propertyName))
+            throw "xBufferedLogger.watchLevelProperty: parameter 'propertyName' is required!";
+        if (!gs.nil(defaultLevel) && xBufferedLogger.toLevel(defaultLevel) == null)
+            throw "xBufferedLogger.watchLevelProperty: parameter 'defaultLevel' value '" + defaultLevel + "' is not a valid log level!";
+
+        this._levelWatch = {propertyName: "" + propertyName, defaultLevel: gs.nil(defaultLevel) ? null : defaultLevel, lastValue: null};
+        this.refreshLevel();
+    },
+
+	/**
+	 * Stops re-reading the level from the watched system property (see watchLevelProperty()).  The current level is kept.
+	 */
+    unwatchLevelProperty: function() {
+        this._levelWatch = null;
+    },
+
+	/**
+	 * @return {string} the name of the system property this logger's level is re-read from, or null.
+	 */
+    getWatchedLevelProperty: function() {
+        return (this._levelWatch == null) ? null : this._levelWatch.propertyName;
+    },
+
+	/**
+	 * Re-reads the level of this logger from its watched system property (see watchLevelProperty()).  Nothing is done
+	 * if the property's value hasn't changed since it was last read.
+	 */
+    refreshLevel: function() {
+        var watch = this._levelWatch;
+        if (watch == null)
+            return;
+
+        var propVal = "" + gs.getProperty(watch.propertyName, "");
+        if (propVal === watch.lastValue)
+            return;
+        watch.lastValue = propVal;
+
+        //time-boxed override, ex. "debug until 14:30".
+        var match = /^\s*(\S+)\s+until\s+(.+?)\s*$/i.exec(propVal);
+        if (match) {
+            var overrideLevel = xBufferedLogger.toLevel(match[1]);
+            var untilMs = xBufferedLogger.parseTime(match[2]);
+            if (overrideLevel != null && untilMs != null) {
+                if (watch.defaultLevel != null)
+                    this.setLogLevel(watch.defaultLevel);
+                this.setLogLevelUntil(overrideLevel, untilMs);
+                return;
+            }
+        }
+
+        this._levelOverride = null;
+        if (gs.nil(propVal) && watch.defaultLevel == null)
+            return;  //nothing configured (yet); keep the current level.
+        this.setLogLevelBySysProperty(watch.propertyName, watch.defaultLevel);
+    },
+
+    ////////////////////////////////////////////// LOG LEVEL GETTERS /////////////////////////////////////////////
+    //                                                                                                          //
+    // Methods for querying if the current level of the logger is at or below a specified level.  Can be used   //
+    // by code to only do certain levels of logging if that level is enabled (mainly useful for skipping        //
+    // calculations and string building done for debug logs if debug logging is not enabled).                   //
+    //                                                                                                          //
+    //////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    isTraceLevelEnabled: function() {
+        return this.isLevelEnabled(xBufferedLogger.LOG_LEVEL.TRACE);
+    },
+
+    isDebugLevelEnabled: function() {
+        return this.isLevelEnabled(xBufferedLogger.LOG_LEVEL.DEBUG);
+    },
+
+    isInfoLevelEnabled: function() {
+        return this.isLevelEnabled(xBufferedLogger.LOG_LEVEL.INFO);
+    },
+
+    isWarnLevelEnabled: function() {
+        return this.isLevelEnabled(xBufferedLogger.LOG_LEVEL.WARN);
+    },
+
+    isErrorLevelEnabled: function() {
+        return this.isLevelEnabled(xBufferedLogger.LOG_LEVEL.ERROR);
+    },
+
+    isFatalLevelEnabled: function() {
+        return this.isLevelEnabled(xBufferedLogger.LOG_LEVEL.FATAL);
+    },
+
+	/**
+	 * @param {object} level - an xBufferedLogger.LOG_LEVEL value (or its numeric value).
+	 * @return {boolean} true if statements of the given level would be logged by this logger.
+	 */
+    isLevelEnabled: function(level) {
+        return (this.getEffectiveLevel().value <= this._getLevelValue(level));
+    },
+
+	/**
+	 * @return {object} this logger's level (or its active time-boxed override), or if it doesn't have one, the nearest
+	 *                  ancestor's level.  Falls back to ERROR if no level is set anywhere in the hierarchy.
+	 */
+    getEffectiveLevel: function() {
+        for (var logger = this; logger != null; logger = logger._parent) {
+            if (logger._levelOverride != null && logger._expireLevelOverride())
+                return logger._levelOverride.level;
+            if (logger.currentLevel != null)
+                return logger.currentLevel;
+        }
+        return xBufferedLogger.LOG_LEVEL.ERROR;
+    },
+
+	/**
+	 * @return {xBufferedLogger} the parent of this logger in the logger hierarchy, or null.
+	 */
+    getParent: function() {
+        return this._parent;
+    },
+
+
+    //////////////// INTERNAL FUNCTIONS /////////////////
+
+	/**
+	 * @param {Array} appenders - the appenders to write the buffered entries to.
+	 * @return {string} joined string (joined by the configured separator char) of all logs in the queue.
+	 *
+	 * Shared implementation of flush().  Subclasses can call this with additional appenders (ex. xImportSetLogger
+	 * adding its Import Log appender) without having to register them permanently.
+	 */
+    _flush: function(appenders) {
+
+        //pick up changes to the watched level properties of this logger and its ancestors for the next cycle.
+        for (var logger = this; logger != null; logger = logger._parent)
+            logger.refreshLevel();
+
+        //statistics start over with each flush (see getSummary()).
+        this._resetSummary();
+
+        //summarize the timers stopped since the last flush, if enabled.
+        var timingEntry = this._timingSummaryEnabled ? this._createTimingSummaryEntry() : null;
+        if (timingEntry != null)
+            this.stmtQueue.push(timingEntry);
+        this._timerStats = {};
+
+        //tally the statements suppressed by rate limits since the last flush.
+        var rateLimitEntry = this._createRateLimitEntry();
+        if (rateLimitEntry != null)
+            this.stmtQueue.push(rateLimitEntry);
+        this._resetRateCounts();
+
+        //report anything the overflow policy did since the last flush as part of the output.
+        var overflowEntry = this._createOverflowEntry();
+        if (overflowEntry != null)
+            this.stmtQueue.push(overflowEntry);
+        this._resetOverflowStats();
+
+        var stmts = this.stmtQueue;
+
+        //always clear the stmt queue before writing, so a failing appender can't cause statements to be logged twice.
+        this._clearStmtQueue();
+
+        var content = "";
+        try {
+
+            //format all entries with separator chars between.
+            content = this.formatEntries(stmts);
+
+        } catch (err) {
+
+            //logging should never throw exceptions that might cause otherwise valid program execution to stop.
+            //This really should never happen except for maybe a misbehaving custom layout.  In that unlikely event,
+            //prevent logging problems from terminating the program.
+        }
+
+        //nothing to write if nothing was logged.
+        if (stmts.length == 0)
+            return content;
+
+        //export to attachment(s), leaving the appenders a pointer to them (see setAttachmentExport()).
+        if (this._attachmentExport != null && content.length >= this._attachmentExport.minLength) {
+            var pointerEntry = this._exportToAttachment(this._attachmentExport.appender, stmts);
+            if (pointerEntry != null)
+                stmts = [pointerEntry];
+        }
+
+        for (var i = 0; i < appenders.length; i++) {
+            try {
+                appenders[i].doAppend(stmts, this);
+
+            //a broken destination shouldn't stop the remaining appenders from being written to.
+            } catch (ex) {
+                var appenderName = (appenders[i].getName) ? appenders[i].getName() : ("" + i);
+                gs.log("xBufferedLogger.flush: appender '" + appenderName + "' failed: " + ex, this.type);
+            }
+        }
+
+        return content;
+    },
+
+	/**
+	 * @return {object} an entry pointing to the attachment(s) the entries were exported to, or null if the export
+	 *                  failed or wrote nothing.
+	 */
+    _exportToAttachment: function(appender, entries) {
+        try {
+            appender.doAppend(entries, this);
+        } catch (ex) {
+            gs.log("xBufferedLogger.flush: attachment export failed, writing to the appenders instead: " + ex, this.type);
+            return null;
+        }
+
+        var attachments = appender.getLastAttachments();
+        if (attachments.length == 0)
+            return null;
+
+        var maxLevel = entries[0].level;
+        for (var i = 1; i < entries.length; i++) {
+            if (entries[i].level.value > maxLevel.value)
+                maxLevel = entries[i].level;
+        }
+
+        var fileNames = [];
+        for (var j = 0; j < attachments.length; j++)
+            fileNames.push("'" + attachments[j].fileName + "'");
+        var message = xBufferedLogger.Layout.formatNumber(entries.length) + " statement" + ((entries.length == 1) ? "" : "s")
+            + " written to attachment" + ((attachments.length == 1) ? " " : "s ") + fileNames.join(", ")
+            + " on " + appender.getTableName() + " " + attachments[0].recordDisplayValue;
+        return this._createEntry(message, maxLevel, null, null);
+    },
+
+    _doLog: function(message, level, context, throwable, params) {
+
+        //if intended log message's level is less than the current level, then discard this message.
+        if (this.getEffectiveLevel().value > level.value) {
+            return;
+        }
+
+        //The rate limit is checked on the raw message key before the entry is built, so suppressed statements are
+        //neither formatted, masked nor numbered (they are still counted in the summary, see getSummary()).
+        var builtMessage = (typeof message == 'string') ? null : this._buildMessage(message, params);
+        var messageKey = (builtMessage == null) ? message : this._toMessageString(builtMessage);
+        if (!this._checkRateLimit(messageKey)) {
+            this._updateSummary(level, new Date().getTime());
+            return;
+        }
+
+        //Add entry to queue, unless the filter chain denies it.
+        var entry = this._createEntry((builtMessage == null) ? this._buildMessage(message, params) : builtMessage, level, context, throwable);
+        if (xBufferedLogger.Filter.decideChain(this._filters, entry) == xBufferedLogger.FILTER_RESULT.DENY)
+            return;
+        this._countRateLimit(messageKey);
+        this._enqueue(entry);
+    },
+
+	/**
+	 * @param {object} level - the level to log at.
+	 * @param {Arguments} args - the arguments of the calling log method: the message, followed by its parameters.
+	 * @param {boolean} throwableParam - true for error()/fatal(), where a lone second parameter is the throwable.
+	 *
+	 * Shared implementation of the level logging methods; works out the message parameters and the throwable.
+	 */
+    _doLogArgs: function(level, args, throwableParam) {
+
+        //nothing to work out if the level isn't enabled.
+        if (this.getEffectiveLevel().value > level.value)
+            return;
+
+        var message = args[0];
+        var params = Array.prototype.slice.call(args, 1);
+        var throwable = null;
+
+        var placeholders = (typeof message == 'string') ? this._countPlaceholders(message) : 0;
+        if (params.length > placeholders && this._isThrowable(params[params.length - 1]))
+            throwable = params.pop();
+        else if (throwableParam && placeholders == 0 && params.length == 1)
+            throwable = params.pop();
+
+        //allow an Error to be passed in place of the message (ex. logger.error(ex)).
+        if (throwable == null && throwableParam && this._isThrowable(message))
+            throwable = message;
+
+        this._doLog(message, level, null, throwable, params);
+    },
+
+	/**
+	 * @return {string} the message to record: the result of a supplier function, or the message with its {}
+	 *                  placeholders replaced by the rendered parameters.  Never throws.
+	 */
+    _buildMessage: function(message, params) {
+        if (typeof message == 'function')
+            return this._renderArg(message);
+        if (typeof message != 'string')
+            message = this._renderArg(message);
+        if (!params || params.length == 0)
+            return message;
+
+        var self = this;
+        var paramIdx = 0;
+        return message.replace(/(\\)?\{\}/g, function(match, escape) {
+            if (escape)
+                return "{}";
+            if (paramIdx >= params.length)
+                return match;
+            return self._renderArg(params[paramIdx++]);
+        });
+    },
+
+	/**
+	 * @return {number} the number of (unescaped) {} placeholders in the given message.
+	 */
+    _countPlaceholders: function(message) {
+        var matches = message.match(/(\\)?\{\}/g) || [];
+        var count = 0;
+        for (var i = 0; i < matches.length; i++) {
+            if (matches[i] == "{}")
+                count++;
+        }
+        return count;
+    },
+
+	/**
+	 * @return {boolean} true if the given value is a JavaScript error or a Java exception.
+	 */
+    _isThrowable: function(val) {
+        if (val == null || typeof val != 'object')
+            return false;
+        try {
+            return (val instanceof Error) || !gs.nil(val.javaException)
+                || (typeof val.getStackTrace == 'function' && typeof val.getCause == 'function');
+        } catch (err) {
+            return false;
+        }
+    },
+
+	/**
+	 * @return {string} a safe string rendering of a message parameter (or non-string message):
+	 *
+	 *     GlideRecord          "table:sys_id" (or just "table" for a record that hasn't been saved/queried)
+	 *     function             the rendered result of calling it (a supplier)
+	 *     plain object/array   JSON
+	 *     Date                 ISO-8601 UTC string
+	 *     anything else        toString() (for Java objects and errors), guarded against exceptions
+	 */
+    _renderArg: function(arg) {
+        try {
+            if (arg === null)
+                return "null";
+            if (arg === undefined)
+                return "undefined";
+            if (typeof arg == 'function')
+                return this._renderArg(arg());
+            if (typeof arg != 'object')
+                return "" + arg;
+            if (arg instanceof GlideRecord) {
+                var sysId = arg.getUniqueValue();
+                return arg.getTableName() + (gs.nil(sysId) ? "" : (":" + sysId));
+            }
+            if (arg instanceof Date)
+                return arg.toISOString();
+
+            //JavaScript objects and arrays (not Java objects, errors, dates etc.) are rendered as JSON, falling back
+            //to toString() if that fails (ex. circular structures).
+            var tag = Object.prototype.toString.call(arg);
+            if (tag == "[object Object]" || tag == "[object Array]") {
+                try {
+                    return JSON.stringify(arg);
+                } catch (jsonErr) {
+                    //fall through.
+                }
+            }
+
+            return this._toMessageString(arg);
+
+        //logging should never throw exceptions (ex. a supplier throwing, or JSON of a circular structure).
+        } catch (err) {
+            return "[unrenderable value: " + err + "]";
+        }
+    },
+
+	/**
+	 * Adds an entry to the queue, applying the overflow policy if doing so would exceed a buffer limit.
+	 */
+    _enqueue: function(entry) {
+        this._updateSummary(entry.level, entry.timestamp);
+
+        //once truncated, this logger buffers nothing more (see setOverflowPolicy()).
+        if (this._truncated) {
+            this._overflowStats.dropped++;
+            return;
+        }
+
+        //a repeat of the last buffered statement only increases its repeat count.
+        if (this._collapseRepeats && this._isRepeat(entry)) {
+            var last = this.stmtQueue[this.stmtQueue.length - 1];
+            last.repeatCount++;
+            last.lastTimestamp = entry.timestamp;
+            return;
+        }
+
+        if (this._fitsInBuffer(1, entry.message.length)) {
+            this._pushEntry(entry);
+            return;
+        }
+
+        switch (this._overflowPolicy) {
+            case xBufferedLogger.OVERFLOW_POLICY.TRUNCATE:
+                this._truncated = true;
+                this._overflowStats.dropped++;
+                break;
+
+            case xBufferedLogger.OVERFLOW_POLICY.DROP_NEWEST:
+                this._overflowStats.dropped++;
+                break;
+
+            case xBufferedLogger.OVERFLOW_POLICY.FLUSH:
+                if (this.stmtQueue.length > 0) {
+                    this._overflowStats.autoFlushes++;
+                    this._overflowStats.autoFlushed += this.stmtQueue.length;
+                    this._autoFlush();
+                }
+                this._pushEntry(entry);
+                break;
+
+            default:  //DROP_OLDEST
+                this._pushEntry(entry);
+
+                //always keep the newest entry, even if it exceeds the character limit on its own.
+                while (this.stmtQueue.length > 1 && !this._fitsInBuffer(0, 0)) {
+                    this._bufferedChars -= this.stmtQueue.shift().message.length;
+                    this._overflowStats.dropped++;
+                }
+                break;
+        }
+    },
+
+    _pushEntry: function(entry) {
+        this.stmtQueue.push(entry);
+        this._bufferedChars += entry.message.length;
+    },
+
+	/**
+	 * @return {boolean} true if the given number of entries/characters can be added without exceeding a limit.
+	 */
+    _fitsInBuffer: function(newEntries, newChars) {
+        if (this._maxEntries > 0 && this.stmtQueue.length + newEntries > this._maxEntries)
+            return false;
+        if (this._maxChars > 0 && this._bufferedChars + newChars > this._maxChars)
+            return false;
+        return true;
+    },
+
+	/**
+	 * Writes the current buffer to the overflow appender (FLUSH overflow policy).
+	 */
+    _autoFlush: function() {
+        var overflowAppender = this._overflowAppender || new xBufferedLogger.SystemLogAppender(this.getName());
+        var entries = this.stmtQueue;
+        this._clearStmtQueue();
+        try {
+            overflowAppender.doAppend(entries, this);
+        } catch (ex) {
+            gs.log("xBufferedLogger: overflow appender failed: " + ex, this.type);
+        }
+    },
+
+	/**
+	 * @return {object} a WARN entry describing what the overflow policy did since the last flush(), or null if no
+	 *                  buffer limit was reached.
+	 */
+    _createOverflowEntry: function() {
+        var stats = this._overflowStats;
+        if (stats.dropped == 0 && stats.autoFlushes == 0)
+            return null;
+
+        var limits = [];
+        if (this._maxEntries > 0)
+            limits.push(this._maxEntries + " entries");
+        if (this._maxChars > 0)
+            limits.push(this._maxChars + " characters");
+
+        var msg;
+        switch (this._overflowPolicy) {
+            case xBufferedLogger.OVERFLOW_POLICY.TRUNCATE:
+                msg = "... " + stats.dropped + " statements suppressed, buffering stopped for this logger";
+                break;
+            case xBufferedLogger.OVERFLOW_POLICY.DROP_NEWEST:
+                msg = stats.dropped + " newest statements dropped";
+                break;
+            case xBufferedLogger.OVERFLOW_POLICY.FLUSH:
+                msg = stats.autoFlushed + " statements flushed early in " + stats.autoFlushes + " auto-flush(es)";
+                break;
+            default:
+                msg = stats.dropped + " oldest statements dropped";
+                break;
+        }
+        msg += " (log buffer limit of " + limits.join(" / ") + " reached)";
+
+        return this._createEntry(msg, xBufferedLogger.LOG_LEVEL.WARN);
+    },
+
+    _resetOverflowStats: function() {
+        this._overflowStats = {dropped: 0, autoFlushes: 0, autoFlushed: 0};
+    },
+
+	/**
+	 * @return {object} an INFO entry with a table of the timer statistics (see getTimerStats()), or null if no timer
+	 *                  was stopped since the last flush().
+	 */
+    _createTimingSummaryEntry: function() {
+        var stats = this.getTimerStats();
+        var header = ["Timer", "Count", "Total (ms)", "Min (ms)", "Max (ms)", "Avg (ms)"];
+        var rows = [];
+        for (var name in stats)
+            rows.push([name, stats[name].count, stats[name].total, stats[name].min, stats[name].max, stats[name].average]);
+        if (rows.length == 0)
+            return null;
+
+        //size each column to its widest value.
+        var widths = [];
+        for (var c = 0; c < header.length; c++) {
+            widths[c] = header[c].length;
+            for (var r = 0; r < rows.length; r++)
+                widths[c] = Math.max(widths[c], ("" + rows[r][c]).length);
+        }
+
+        var lines = ["Timing summary:", this._formatTimingRow(header, widths)];
+        for (var i = 0; i < rows.length; i++)
+            lines.push(this._formatTimingRow(rows[i], widths));
+        return this._createEntry(lines.join("\n"), xBufferedLogger.LOG_LEVEL.INFO);
+    },
+
+	/**
+	 * @return {string} the cells of a timing summary row: the timer name left aligned, the numbers right aligned.
+	 */
+    _formatTimingRow: function(cells, widths) {
+        var out = [];
+        for (var i = 0; i < cells.length; i++) {
+            var cell = "" + cells[i];
+            var padding = new Array(widths[i] - cell.length + 1).join(" ");
+            out.push((i == 0) ? (cell + padding) : (padding + cell));
+        }
+        return out.join("  ");
+    },
+
+	/**
+	 * @return {object} the given timer level (or the logger's timer level, if nil) as an xBufferedLogger.LOG_LEVEL value.
+	 */
+    _getTimerLevel: function(level, callingMethod) {
+        if (gs.nil(level))
+            return this._timerLevel;
+        var result = xBufferedLogger.toLevel(level);
+        if (result == null)
+            throw "xBufferedLogger." + callingMethod + ": Invalid log level '" + level + "' specified";
+        return result;
+    },
+
+	/**
+	 * @return {boolean} true if the given entry is identical to the last buffered entry (same logger, level, message
+	 *                   and exception).
+	 */
+    _isRepeat: function(entry) {
+        var last = this.stmtQueue[this.stmtQueue.length - 1];
+        if (!last || last.level !== entry.level || last.message !== entry.message || last.loggerName !== entry.loggerName)
+            return false;
+        if (last.throwable == null || entry.throwable == null)
+            return last.throwable == entry.throwable;
+        return last.throwable.name == entry.throwable.name && last.throwable.message == entry.throwable.message;
+    },
+
+	/**
+	 * @param {string} messageKey - the message key of the statement being logged.
+	 * @return {boolean} true if the statement is within its rate limit; false if it's to be suppressed (which is
+	 *                   tallied).  Statements within the limit are counted by _countRateLimit() once buffered.
+	 */
+    _checkRateLimit: function(messageKey) {
+        var limit = this.getRateLimit(messageKey);
+        if (limit == 0 || (this._rateCounts[messageKey] || 0) < limit)
+            return true;
+        this._rateSuppressed[messageKey] = (this._rateSuppressed[messageKey] || 0) + 1;
+        return false;
+    },
+
+	/**
+	 * @param {string} messageKey - the message key of the statement being buffered.
+	 *
+	 * Counts the statement towards the rate limit of its message key (statements denied by a filter don't count).
+	 */
+    _countRateLimit: function(messageKey) {
+        if (this.getRateLimit(messageKey) != 0)
+            this._rateCounts[messageKey] = (this._rateCounts[messageKey] || 0) + 1;
+    },
+
+	/**
+	 * @return {object} a WARN entry tallying the statements suppressed by rate limits since the last flush(), or null
+	 *                  if none were.
+	 */
+    _createRateLimitEntry: function() {
+        var total = 0;
+        var lines = [];
+        for (var key in this._rateSuppressed) {
+            var suppressed = this._rateSuppressed[key];
+            total += suppressed;
+            lines.push("    '" + key + "': " + xBufferedLogger.Layout.formatNumber(suppressed) + " suppressed after "
+                + xBufferedLogger.Layout.formatNumber(this.getRateLimit(key)));
+        }
+        if (total == 0)
+            return null;
+
+        lines.unshift(xBufferedLogger.Layout.formatNumber(total) + " statements suppressed by rate limits:");
+        return this._createEntry(lines.join("\n"), xBufferedLogger.LOG_LEVEL.WARN);
+    },
+
+    _resetRateCounts: function() {
+        this._rateCounts = {};
+        this._rateSuppressed = {};
+    },
+
+	/**
+	 * @return {boolean} true if this logger has an active level override; clears it if it has expired.
+	 */
+    _expireLevelOverride: function() {
+        if (this._levelOverride != null && new Date().getTime() >= this._levelOverride.until)
+            this._levelOverride = null;
+        return this._levelOverride != null;
+    },
+
+	/**
+	 * Adds a statement being logged to the summary statistics (see getSummary()), whether or not it ends up buffered.
+	 */
+    _updateSummary: function(level, timestamp) {
+        var summary = this._summary;
+        summary.total++;
+        summary.counts[level.name] = (summary.counts[level.name] || 0) + 1;
+        if (summary.maxLevel == null || level.value > summary.maxLevel.value)
+            summary.maxLevel = level;
+        if (summary.firstTimestamp == null)
+            summary.firstTimestamp = timestamp;
+        summary.lastTimestamp = timestamp;
+    },
+
+    _resetSummary: function() {
+        this._summary = {total: 0, counts: {}, maxLevel: null, firstTimestamp: null, lastTimestamp: null};
+    },
+
+	/**
+	 * @return {number} the given buffer limit as a non-negative integer (0 if nil).
+	 */
+    _toLimit: function(limit, callingMethod) {
+        if (gs.nil(limit))
+            return 0;
+        var limitInt = parseInt(limit);
+        if (isNaN(limitInt) || limitInt < 0)
+            throw "xBufferedLogger." + callingMethod + ": Invalid limit '" + limit + "' specified (must be a non-negative integer)";
+        return limitInt;
+    },
+
+	/**
+	 * @return {object} a new log entry with the following structure:
+	 *
+	 *     level         {object} the xBufferedLogger.LOG_LEVEL value logged at.
+	 *     timestamp     {number} time the entry was logged (ms since the epoch).
+	 *     elapsed       {number} ms between the creation of the logger and the time the entry was logged.
+	 *     sequence      {number} sequence number of the entry within the logger (starting at 1).
+	 *     message       {string} the logged message.
+	 *     loggerName    {string} name of the logger the entry was logged to.
+	 *     context       {object} map of additional fields passed to log(), or null.
+	 *     throwable     {object} the captured exception logged with the entry (see _captureThrowable()), or null.
+	 *     mdc           {object} snapshot of the Mapped Diagnostic Context (see xBufferedLogger.MDC), or null if empty.
+	 *     ndc           {Array}  snapshot of the Nested Diagnostic Context (see xBufferedLogger.NDC), or null if empty.
+	 *     repeatCount   {number} times the statement was repeated right after it was logged (see setCollapseRepeats()).
+	 *     lastTimestamp {number} time the last repeat was logged, or null if never repeated.
+	 */
+    _createEntry: function(message, level, context, throwable) {
+        var now = new Date().getTime();
+        var entry = {
+            level: level,
+            timestamp: now,
+            elapsed: now - this._startTime,
+            sequence: ++this._sequence,
+            message: this._toMessageString(message),
+            loggerName: this._name,
+            context: gs.nil(context) ? null : context,
+            throwable: (throwable == null) ? null : this._captureThrowable(throwable, 0),
+            mdc: xBufferedLogger.MDC.getContext(),
+            ndc: xBufferedLogger.NDC.getStack(),
+            repeatCount: 0,
+            lastTimestamp: null
+        };
+
+        var masker = this.getEffectiveMasker();
+        if (masker != null)
+            this._maskEntry(entry, masker);
+        return entry;
+    },
+
+	/**
+	 * Masks the text fields of the given entry in place: the message, the captured exception(s), and the string
+	 * values of the context, MDC and NDC (copies of the context object are masked; the caller's object isn't touched).
+	 */
+    _maskEntry: function(entry, masker) {
+        entry.message = this._maskText(masker, entry.message);
+
+        for (var t = entry.throwable; t != null; t = t.cause) {
+            t.message = this._maskText(masker, t.message);
+            for (var i = 0; i < t.stack.length; i++)
+                t.stack[i] = this._maskText(masker, t.stack[i]);
+        }
+
+        var maps = ["context", "mdc"];
+        for (var m = 0; m < maps.length; m++) {
+            var map = entry[maps[m]];
+            if (map == null || typeof map != 'object')
+                continue;
+            var masked = {};
+            for (var key in map) {
+                if (map.hasOwnProperty(key))
+                    masked[key] = (typeof map[key] == 'string') ? this._maskText(masker, map[key]) : map[key];
+            }
+            entry[maps[m]] = masked;
+        }
+
+        if (entry.ndc != null) {
+            for (var n = 0; n < entry.ndc.length; n++)
+                entry.ndc[n] = this._maskText(masker, entry.ndc[n]);
+        }
+    },
+
+	/**
+	 * @return {string} the text masked by the given masker.  If masking fails, the text is withheld entirely rather
+	 *                  than risking it being written unmasked.
+	 */
+    _maskText: function(masker, text) {
+        if (text == null)
+            return text;
+        try {
+            return masker.mask(text);
+        } catch (err) {
+            return "[withheld: masking failed: " + err + "]";
+        }
+    },
+
+	/**
+	 * @param {object} ex - a caught exception: a JavaScript error (possibly wrapping a Java exception), a Java
+	 *                      exception, or any other thrown value (ex. a string).
+	 * @param {number} causeDepth - how many causes deep in the cause chain ex is.
+	 * @return {object} a snapshot of the exception with the following structure:
+	 *
+	 *     name       {string} name of the error type, or Java class name (null for thrown non-errors).
+	 *     message    {string} the exception message.
+	 *     fileName   {string} script the error occurred in, if known.
+	 *     lineNumber {number} line the error occurred on, if known.
+	 *     stack      {Array}  lines of the stack trace (without leading "at "/whitespace).
+	 *     cause      {object} the captured cause (for JavaScript errors, the wrapped Java exception), or null.
+	 *
+	 * The exception is captured at the time of logging, as Java exceptions in particular can't be safely held on
+	 * to (or rendered) later.  Capturing never throws.
+	 */
+    _captureThrowable: function(ex, causeDepth) {
+        var captured = {name: null, message: null, fileName: null, lineNumber: null, stack: [], cause: null};
+        try {
+
+            //Java exception (ex. caught from a Glide API call, or the cause of a JavaScript error).
+            if (typeof ex.getStackTrace == 'function' && typeof ex.getClass == 'function') {
+                captured.name = "" + ex.getClass().getName();
+                captured.message = (ex.getMessage() == null) ? null : ("" + ex.getMessage());
+                var frames = ex.getStackTrace();
+                for (var i = 0; i < frames.length; i++)
+                    captured.stack.push("" + frames[i]);
+                if (ex.getCause() != null && ex.getCause() != ex)
+                    captured.cause = this._captureCause(ex.getCause(), causeDepth);
+
+            //JavaScript error.
+            } else if (typeof ex == 'object' && ex.message !== undefined) {
+                captured.name = gs.nil(ex.name) ? null : ("" + ex.name);
+                captured.message = "" + ex.message;
+                captured.fileName = gs.nil(ex.fileName) ? null : ("" + ex.fileName);
+                captured.lineNumber = gs.nil(ex.lineNumber) ? null : parseInt(ex.lineNumber);
+                if (!gs.nil(ex.stack)) {
+                    var lines = ("" + ex.stack).split("\n");
+                    var errorText = this._toMessageString(ex);
+                    for (var j = 0; j < lines.length; j++) {
+                        var line = lines[j].replace(/^\s*(at\s+)?/, "");
+
+                        //some engines repeat the error's "name: message" as the first line of the stack.
+                        if (line.length > 0 && !(j == 0 && line == errorText))
+                            captured.stack.push(line);
+                    }
+                }
+                if (!gs.nil(ex.javaException))
+                    captured.cause = this._captureCause(ex.javaException, causeDepth);
+
+            //anything else that was thrown (typically a string, as thrown by this class).
+            } else {
+                captured.message = this._toMessageString(ex);
+            }
+
+        //logging should never throw exceptions; keep whatever was captured so far.
+        } catch (err) {
+            if (captured.message == null)
+                captured.message = "[unable to capture exception: " + err + "]";
+        }
+        return captured;
+    },
+
+	/**
+	 * @return {object} the captured cause, or null once xBufferedLogger.MAX_CAUSE_DEPTH causes have been captured
+	 *                  (guarding against circular cause chains).
+	 */
+    _captureCause: function(cause, causeDepth) {
+        if (causeDepth + 1 >= xBufferedLogger.MAX_CAUSE_DEPTH)
+            return null;
+        return this._captureThrowable(cause, causeDepth + 1);
+    },
+
+	/**
+	 * Converts a logged message to a string at the time of logging (so later changes to a logged object aren't
+	 * reflected in the log).
+	 */
+    _toMessageString: function(message) {
+        try {
+            return "" + message;
+
+        //logging should never throw exceptions that might cause otherwise valid program execution to stop.  This
+        //really should never happen except for maybe if an object was passed in that's a Java object that doesn't
+        //implement toString(), which would cause the string concatenation to throw an exception.
+        } catch (err) {
+            return "[unprintable message: " + err + "]";
+        }
+    },
+
+	/**
+	 * @return {number} the numeric value of the given level (an xBufferedLogger.LOG_LEVEL value, its name, or a numeric
+	 *                  value).
+	 */
+    _getLevelValue: function(level) {
+        if (typeof level == 'object' && level.value !== undefined)
+            return level.value;
+
+        var namedLevel = xBufferedLogger.toLevel(level);
+        var levelVal = (namedLevel != null) ? namedLevel.value : parseInt(level);
+        if (isNaN(levelVal))
+            throw "xBufferedLogger: Invalid log level '" + level + "' specified";
+        return levelVal;
+    },
+
+    _clearStmtQueue: function() {
+
+        //setting a new array into stmtQueue will effectively clear it.
+        this.stmtQueue = [];
+        this._bufferedChars = 0;
+    },
+
+    version: "20261019",
+
+    type: 'xBufferedLogger'
+};
+
+/**
+ * This enum defines the logging levels supported by this class.
+ * Based off the values in the log4j 1.2 implementation.  ALL and OFF are thresholds only (enable everything/nothing);
+ * statements can't be logged at them.  Custom levels can be added with xBufferedLogger.registerLevel().
+ */
+xBufferedLogger.LOG_LEVEL = {};
+xBufferedLogger.LOG_LEVEL.ALL = {value: -2147483648, label: "[ALL]", name: "ALL"};
+xBufferedLogger.LOG_LEVEL.TRACE = {value: 5000, label: "[TRACE]", name: "TRACE"};
+xBufferedLogger.LOG_LEVEL.DEBUG = {value: 10000, label: "[DEBUG]", name: "DEBUG"};
+xBufferedLogger.LOG_LEVEL.INFO = {value: 20000, label: "[INFO]", name: "INFO"};
+xBufferedLogger.LOG_LEVEL.WARN = {value: 30000, label: "[WARN]", name: "WARN"};
+xBufferedLogger.LOG_LEVEL.ERROR = {value: 40000, label: "[ERROR]", name: "ERROR"};
+xBufferedLogger.LOG_LEVEL.FATAL = {value: 50000, label: "[FATAL]", name: "FATAL"};
+xBufferedLogger.LOG_LEVEL.OFF = {value: 2147483647, label: "[OFF]", name: "OFF"};
+
+/**
+ * @param {object} value - an xBufferedLogger.LOG_LEVEL value, a level's numeric value (ex. 40000 or "40000"), or a
+ *                         level's case-insensitive name (ex. "warn").
+ * @param {object} defaultLevel - [optional] returned if the value doesn't match any level (default null).
+ * @return {object} the matching xBufferedLogger.LOG_LEVEL value, or the default level.
+ */
+xBufferedLogger.toLevel = function(value, defaultLevel) {
+    if (defaultLevel === undefined)
+        defaultLevel = null;
+    if (value == null)
+        return defaultLevel;
+
+    var strVal = ("" + ((typeof value == 'object' && value.value !== undefined) ? value.value : value)).trim();
+    var isNumeric = /^-?\d+$/.test(strVal);
+    for (var i in xBufferedLogger.LOG_LEVEL) {
+        var level = xBufferedLogger.LOG_LEVEL[i];
+        if (isNumeric ? (parseInt(strVal, 10) == level.value) : (strVal.toUpperCase() == level.name))
+            return level;
+    }
+    return defaultLevel;
+};
+
+/**
+ * @param {string} name - name of the level, ex. "AUDIT" (stored uppercase; letters, digits and underscores only).
+ * @param {number} value - integer value of the level, between the ALL and OFF values (ex. 45000 to sit between ERROR
+ *                         and FATAL).  Must not be used by any other level.
+ * @param {string} label - [optional] label rendered by the SimpleLayout (default "[NAME]").
+ * @return {object} the new xBufferedLogger.LOG_LEVEL value.
+ *
+ * Registers a custom logging level for the current transaction.  Once registered, the level is available as
+ * xBufferedLogger.LOG_LEVEL.NAME and works everywhere the built-in levels do: logger.log(level, message),
+ * isLevelEnabled(), setLogLevel(), setLogLevelBySysProperty(), getEntries(), layouts, etc.  Registering the same name
+ * and value again is allowed (ex. from two script includes) and simply returns the existing level.
+ */
+xBufferedLogger.registerLevel = function(name, value, label) {
+    if (gs.nil(name))
+        throw "xBufferedLogger.registerLevel: parameter 'name' is required!";
+    name = ("" + name).toUpperCase();
+    if (!/^[A-Z][A-Z0-9_]*$/.test(name))
+        throw "xBufferedLogger.registerLevel: level name '" + name + "' must only contain letters, digits and underscores!";
+
+    var intValue = parseInt(value, 10);
+    if (isNaN(intValue) || intValue != value || intValue <= xBufferedLogger.LOG_LEVEL.ALL.value
+            || intValue >= xBufferedLogger.LOG_LEVEL.OFF.value)
+        throw "xBufferedLogger.registerLevel: level value '" + value + "' must be an integer between the ALL and OFF level values!";
+
+    for (var i in xBufferedLogger.LOG_LEVEL) {
+        var level = xBufferedLogger.LOG_LEVEL[i];
+        if (level.name == name && level.value == intValue)
+            return level;
+        if (level.name == name)
+            throw "xBufferedLogger.registerLevel: level '" + name + "' is already defined with value " + level.value + "!";
+        if (level.value == intValue)
+            throw "xBufferedLogger.registerLevel: level value " + intValue + " is already used by level '" + level.name + "'!";
+    }
+
+    xBufferedLogger.LOG_LEVEL[name] = {
+        value: intValue,
+        label: gs.nil(label) ? ("[" + name + "]") : ("" + label),
+        name: name
+    };
+    return xBufferedLogger.LOG_LEVEL[name];
+};
+
+/**
+ * This enum defines what the logger does when logging a statement would exceed its buffer limits
+ * (see setMaxEntries() and setMaxChars()).
+ */
+xBufferedLogger.OVERFLOW_POLICY = {};
+xBufferedLogger.OVERFLOW_POLICY.DROP_OLDEST = "drop_oldest";  //discard the oldest entries (ring buffer); the default.
+xBufferedLogger.OVERFLOW_POLICY.DROP_NEWEST = "drop_newest";  //discard the statement being logged; buffering resumes after flush().
+xBufferedLogger.OVERFLOW_POLICY.FLUSH = "flush";              //write the buffer to the overflow appender and start over.
+xBufferedLogger.OVERFLOW_POLICY.TRUNCATE = "truncate";        //stop buffering for this logger, even after flush();
+                                                              //output ends with an "N statements suppressed" marker.
+
+//Maximum number of exceptions (the logged exception plus its causes) captured per log entry.
+xBufferedLogger.MAX_CAUSE_DEPTH = 10;
+
+
+
+///////////////////////////////////////////// LOGGER REPOSITORY //////////////////////////////////////////////
+//                                                                                                          //
+// Named, hierarchical loggers shared across the transaction; see xBufferedLogger.getLogger().              //
+//                                                                                                          //
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Holds the named loggers of the transaction.  Logger names are dot-separated ("com.acme.integration.hr"), and each
+ * logger's parent is the logger named by its name minus the last component ("com.acme.integration"), up to the root
+ * logger.  Loggers are created on first request (along with any missing ancestors) and then re-used, so every caller
+ * asking for the same name gets the same logger.  New loggers have no level of their own and inherit their parent's;
+ * the root logger defaults to ERROR level.
+ */
+xBufferedLogger.LoggerRepository = Class.create();
+xBufferedLogger.LoggerRepository.prototype = {
+
+    //map of logger name -> logger.
+    _loggers: null,
+
+    _root: null,
+
+    initialize: function() {
+        this._loggers = {};
+        this._root = new xBufferedLogger(xBufferedLogger.LoggerRepository.ROOT_LOGGER_NAME);
+    },
+
+	/**
+	 * @param {string} name - dot-separated name of the logger.  If nil (or the root logger's name) the root logger
+	 *                        is returned.
+	 * @return {xBufferedLogger} the logger with the given name; created if it doesn't exist yet.
+	 */
+    getLogger: function(name) {
+        if (gs.nil(name) || ("" + name) == xBufferedLogger.LoggerRepository.ROOT_LOGGER_NAME)
+            return this._root;
+        name = "" + name;  //ensure string
+
+        var logger = this._loggers[name];
+        if (logger)
+            return logger;
+
+        //create the parent first, so the whole chain of ancestors exists.
+        var lastDot = name.lastIndexOf(".");
+        var parent = (lastDot > 0) ? this.getLogger(name.substring(0, lastDot)) : this._root;
+
+        logger = new xBufferedLogger(name);
+        logger._parent = parent;
+        logger.currentLevel = null;
+        this._loggers[name] = logger;
+        return logger;
+    },
+
+    getRootLogger: function() {
+        return this._root;
+    },
+
+	/**
+	 * @return {boolean} true if a logger with the given name has already been created.
+	 */
+    exists: function(name) {
+        return !gs.nil(name) && this._loggers.hasOwnProperty("" + name);
+    },
+
+	/**
+	 * @return {Array} all loggers created so far (excluding the root logger).
+	 */
+    getCurrentLoggers: function() {
+        var loggers = [];
+        for (var name in this._loggers)
+            loggers.push(this._loggers[name]);
+        return loggers;
+    },
+
+	/**
+	 * @param {object} levelsByName - map of logger name -> log level value (use the root logger's name, or "", to
+	 *                                configure the root logger), ex. {"root": 40000, "com.acme.integration": 10000}.
+	 *
+	 * Sets the levels of several loggers at once, creating them if needed.
+	 */
+    configure: function(levelsByName) {
+        if (gs.nil(levelsByName))
+            throw "xBufferedLogger.LoggerRepository.configure: parameter 'levelsByName' is required!";
+
+        for (var name in levelsByName)
+            this.getLogger(name).setLogLevel(levelsByName[name]);
+    },
+
+	/**
+	 * @param {string} prefix - common prefix of the system properties to configure loggers from.
+	 * @return {number} the number of loggers configured.
+	 *
+	 * Configures logger levels from all system properties starting with the given prefix, where the rest of the
+	 * property name is the logger name, and the value its log level.  Ex. with the prefix "u.acme.log.level":
+	 *
+	 *     u.acme.log.level                   = 40000   (root logger)
+	 *     u.acme.log.level.com.acme          = 30000   (logger "com.acme")
+	 *     u.acme.log.level.com.acme.hr       = 10000   (logger "com.acme.hr")
+	 *
+	 * Values can be level names or numeric values; as with xBufferedLogger.setLogLevelBySysProperty(), a property with
+	 * an invalid log level value leaves the logger's level unchanged and adds a WARN entry to that logger's buffer.
+	 *
+	 * @param {boolean} watch - [optional] if true, the properties are watched (see watch()) rather than read once.
+	 */
+    configureFromProperties: function(prefix, watch) {
+        if (gs.nil(prefix))
+            throw "xBufferedLogger.LoggerRepository.configureFromProperties: parameter 'prefix' is required!";
+        prefix = "" + prefix;  //ensure string
+
+        var count = 0;
+        var prop = new GlideRecord("sys_properties");
+        prop.addQuery("name", "STARTSWITH", prefix);
+        prop.orderBy("name");  //configure ancestors before descendants
+        prop.query();
+        while (prop.next()) {
+            var propName = "" + prop.name;
+            var loggerName = propName.substring(prefix.length);
+            if (loggerName.length > 0 && loggerName.charAt(0) != ".")
+                continue;  //a different property that merely shares the prefix (ex. "u.acme.log.levels")
+
+            var logger = this.getLogger(loggerName.substring(1));
+            if (watch === true)
+                logger.watchLevelProperty(propName);
+            else
+                logger.setLogLevelBySysProperty(propName);
+            count++;
+        }
+        return count;
+    },
+
+	/**
+	 * @param {string} name - name of the logger (created if it doesn't exist yet).
+	 * @param {string} propertyName - the name of the system property to re-read the logger's level from.
+	 * @param {object} defaultLevel - [optional] see xBufferedLogger.watchLevelProperty().
+	 * @return {xBufferedLogger} the logger.
+	 *
+	 * Maps a logger to a system property its level is re-read from, on flush() and on every refresh() (see
+	 * xBufferedLogger.watchLevelProperty()).
+	 */
+    watch: function(name, propertyName, defaultLevel) {
+        var logger = this.getLogger(name);
+        logger.watchLevelProperty(propertyName, defaultLevel);
+        return logger;
+    },
+
+	/**
+	 * Re-reads the levels of all loggers watching a system property (see watch()).
+	 */
+    refresh: function() {
+        this._root.refreshLevel();
+        for (var name in this._loggers)
+            this._loggers[name].refreshLevel();
+    },
+
+	/**
+	 * Discards all loggers (and their buffered entries) and restores the root logger to its defaults.
+	 */
+    resetConfiguration: function() {
+        this.initialize();
+    },
+
+    type: 'xBufferedLogger.LoggerRepository'
+};
+
+xBufferedLogger.LoggerRepository.ROOT_LOGGER_NAME = "root";
+
+/**
+ * @return {xBufferedLogger.LoggerRepository} the logger repository of the current transaction.
+ */
+xBufferedLogger.getRepository = function() {
+    if (!xBufferedLogger._repository)
+        xBufferedLogger._repository = new xBufferedLogger.LoggerRepository();
+    return xBufferedLogger._repository;
+};
+
+/**
+ * @param {string} name - dot-separated name of the logger, ex. "com.acme.integration.hr".
+ * @return {xBufferedLogger} the named logger from the logger repository (see xBufferedLogger.LoggerRepository).
+ */
+xBufferedLogger.getLogger = function(name) {
+    return xBufferedLogger.getRepository().getLogger(name);
+};
+
+/**
+ * @return {xBufferedLogger} the root logger of the logger repository.
+ */
+xBufferedLogger.getRootLogger = function() {
+    return xBufferedLogger.getRepository().getRootLogger();
+};
+
+/**
+ * Re-reads the levels of all repository loggers watching a system property (see LoggerRepository.watch()).  Meant to
+ * be called at the start of each unit of work of a long transaction, ex. each import set row.  Does nothing if the
+ * repository hasn't been used in the current transaction.
+ */
+xBufferedLogger.refreshLevels = function() {
+    if (xBufferedLogger._repository)
+        xBufferedLogger._repository.refresh();
+};
+
+/**
+ * @param {object} time - a Date, ms since the epoch, or a string in the current user's time zone, either "HH:mm[:ss]"
+ *                        (today) or "yyyy-MM-dd HH:mm[:ss]".
+ * @return {number} the time in ms since the epoch, or null if it isn't valid.
+ */
+xBufferedLogger.parseTime = function(time) {
+    if (time == null)
+        return null;
+    if (time instanceof Date)
+        return time.getTime();
+    if (typeof time == 'number')
+        return isNaN(time) ? null : time;
+
+    var match = /^\s*(?:(\d{4}-\d{2}-\d{2})\s+)?(\d{1,2}):(\d{2})(?::(\d{2}))?\s*$/.exec("" + time);
+    if (!match)
+        return null;
+
+    var gdt = new GlideDateTime();
+    var datePart = match[1] || ("" + gdt.getLocalDate().getByFormat("yyyy-MM-dd"));
+    var hours = (match[2].length == 1) ? ("0" + match[2]) : match[2];
+    gdt.setDisplayValueInternal(datePart + " " + hours + ":" + match[3] + ":" + (match[4] || "00"));
+    if (!gdt.isValid())
+        return null;
+    return parseInt("" + gdt.getNumericValue(), 10);
+};
+
+
+///////////////////////////////////////////// DIAGNOSTIC CONTEXT /////////////////////////////////////////////
+//                                                                                                          //
+// Transaction-scoped context recorded on every entry logged by any logger (as in log4j's MDC and NDC).     //
+//                                                                                                          //
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Mapped Diagnostic Context: key/value pairs (ex. correlation_id, row_number, source_table) that are recorded on
+ * every entry logged until they are removed.  Values are stored as strings.
+ */
+xBufferedLogger.MDC = {
+
+    _context: {},
+
+    put: function(key, value) {
+        if (gs.nil(key))
+            throw "xBufferedLogger.MDC.put: parameter 'key' is required!";
+        this._context["" + key] = (value == null) ? null : ("" + value);
+    },
+
+    get: function(key) {
+        return this._context.hasOwnProperty("" + key) ? this._context["" + key] : null;
+    },
+
+    remove: function(key) {
+        delete this._context["" + key];
+    },
+
+    clear: function() {
+        this._context = {};
+    },
+
+	/**
+	 * @return {object} copy of the current context, or null if it is empty.
+	 */
+    getContext: function() {
+        var copy = null;
+        for (var key in this._context) {
+            copy = copy || {};
+            copy[key] = this._context[key];
+        }
+        return copy;
+    }
+};
+
+/**
+ * Nested Diagnostic Context: a stack of context messages (ex. "import ISET0010023", "row 17") that are recorded on
+ * every entry logged while they are on the stack.  Each push() should be paired with a pop(), typically in a
+ * finally block.
+ */
+xBufferedLogger.NDC = {
+
+    _stack: [],
+
+    push: function(message) {
+        this._stack.push("" + message);
+    },
+
+	/**
+	 * @return {string} the removed (innermost) context message, or null if the stack is empty.
+	 */
+    pop: function() {
+        return (this._stack.length > 0) ? this._stack.pop() : null;
+    },
+
+	/**
+	 * @return {string} the innermost context message, or null if the stack is empty.
+	 */
+    peek: function() {
+        return (this._stack.length > 0) ? this._stack[this._stack.length - 1] : null;
+    },
+
+    getDepth: function() {
+        return this._stack.length;
+    },
+
+	/**
+	 * Removes context messages until the stack is no deeper than the given depth (ex. to restore a depth saved
+	 * with getDepth() before calling code that may not clean up after itself).
+	 */
+    setMaxDepth: function(maxDepth) {
+        while (this._stack.length > maxDepth)
+            this._stack.pop();
+    },
+
+    clear: function() {
+        this._stack = [];
+    },
+
+	/**
+	 * @return {Array} copy of the stack (outermost first), or null if it is empty.
+	 */
+    getStack: function() {
+        return (this._stack.length > 0) ? this._stack.slice() : null;
+    }
+};
+
+
+///////////////////////////////////////////////// APPENDERS //////////////////////////////////////////////////
+//                                                                                                          //
+// Destinations that flushed statements can be written to; registered on a logger with addAppender().      //
+//                                                                                                          //
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Base class of all appenders.  The logger calls doAppend() on flush() with the array of buffered entries; by
+ * default this formats the entries with the appender's layout (or the logger's layout if the appender doesn't have
+ * one) and passes the result to write(), which subclasses must implement.  Custom appenders can either extend this
+ * class (via Object.extendsObject) or be any object that implements doAppend(entries, logger).
+ */
+xBufferedLogger.Appender = Class.create();
+xBufferedLogger.Appender.prototype = {
+
+    //name of the appender (used by xBufferedLogger.removeAppender()); defaults to the appender's type.
+    _name: null,
+
+    //layout used to format entries written to this appender; if null, the logger's layout is used.
+    _layout: null,
+
+    //filter chain (see xBufferedLogger.Filter) deciding which of the flushed entries are written to this appender.
+    _filters: null,
+
+    /**
+     * @param {string} name - [optional] name of the appender.
+     */
+    initialize: function(name) {
+        this.setName(name);
+        this._filters = [];
+    },
+
+	/**
+	 * @param {Array} entries - the buffered entries being flushed.
+	 * @param {xBufferedLogger} logger - the logger being flushed.
+	 *
+	 * Entries denied by this appender's filter chain are left out; nothing is written if all of them are.
+	 */
+    doAppend: function(entries, logger) {
+        entries = this.filter(entries);
+        if (entries.length == 0)
+            return;
+        this.write(this.format(entries, logger), entries, logger);
+    },
+
+	/**
+	 * @param {Array} entries - the buffered entries being flushed.
+	 * @return {Array} the entries not denied by this appender's filter chain.
+	 */
+    filter: function(entries) {
+        if (!this._filters || this._filters.length == 0)
+            return entries;
+
+        var accepted = [];
+        for (var i = 0; i < entries.length; i++) {
+            if (xBufferedLogger.Filter.decideChain(this._filters, entries[i]) != xBufferedLogger.FILTER_RESULT.DENY)
+                accepted.push(entries[i]);
+        }
+        return accepted;
+    },
+
+	/**
+	 * @return {string} the entries formatted by this appender's layout (or the logger's, if not set).
+	 */
+    format: function(entries, logger) {
+        return logger.formatEntries(entries, this.getLayout() || logger.getLayout());
+    },
+
+	/**
+	 * @param {string} content - the formatted content to write to this appender's destination.
+	 * @param {Array} entries - the entries the content was formatted from.
+	 * @param {xBufferedLogger} logger - the logger being flushed.
+	 */
+    write: function(content, entries, logger) {
+        throw "xBufferedLogger.Appender.write: appender '" + this.getName() + "' must implement write()!";
+    },
+
+    setName: function(name) {
+        this._name = gs.nil(name) ? this.type : ("" + name);
+    },
+
+    getName: function() {
+        return this._name;
+    },
+
+    setLayout: function(layout) {
+        this._layout = layout;
+    },
+
+    getLayout: function() {
+        return this._layout;
+    },
+
+	/**
+	 * @param {xBufferedLogger.Filter} filter - the filter to add to the end of this appender's filter chain (see
+	 *                                          xBufferedLogger.addFilter()).
+	 * @return {xBufferedLogger.Filter} the filter that was added.
+	 */
+    addFilter: function(filter) {
+        if (gs.nil(filter))
+            throw "xBufferedLogger.Appender.addFilter: parameter 'filter' is required!";
+        if (typeof filter.decide != 'function')
+            throw "xBufferedLogger.Appender.addFilter: parameter 'filter' must implement decide()!";
+
+        this._filters.push(filter);
+        return filter;
+    },
+
+	/**
+	 * @param {xBufferedLogger.Filter|string} filter - the filter (or the name of the filter) to remove.
+	 * @return {boolean} true if a filter was removed; false otherwise.
+	 */
+    removeFilter: function(filter) {
+        if (gs.nil(filter))
+            throw "xBufferedLogger.Appender.removeFilter: parameter 'filter' is required!";
+        return xBufferedLogger.Filter.removeFromChain(this._filters, filter);
+    },
+
+    clearFilters: function() {
+        this._filters = [];
+    },
+
+    getFilters: function() {
+        return this._filters.slice();
+    },
+
+    type: 'xBufferedLogger.Appender'
+};
+
+/**
+ * Writes flushed content to the system log via gs.log(), using the specified source.
+ */
+xBufferedLogger.SystemLogAppender = Class.create();
+xBufferedLogger.SystemLogAppender.prototype = Object.extendsObject(xBufferedLogger.Appender, {
+
+    _source: null,
+
+    /**
+     * @param {string} source - [optional] the source the log is written with.
+     * @param {string} name - [optional] name of the appender.
+     */
+    initialize: function(source, name) {
+        this._source = gs.nil(source) ? "" : ("" + source);
+        xBufferedLogger.Appender.prototype.initialize.call(this, name);
+    },
+
+    write: function(content) {
+        gs.log(content, this._source);
+    },
+
+    type: 'xBufferedLogger.SystemLogAppender'
+});
+
+/**
+ * Writes flushed content directly as a record in the System Log (syslog) table, allowing the syslog level to be
+ * specified (which gs.log() doesn't allow).
+ */
+xBufferedLogger.SyslogAppender = Class.create();
+xBufferedLogger.SyslogAppender.prototype = Object.extendsObject(xBufferedLogger.Appender, {
+
+    _source: null,
+    _level: null,
+
+    /**
+     * @param {string} source - [optional] the source the syslog record is written with.
+     * @param {string} level - [optional] syslog level value (see xBufferedLogger.SyslogAppender.LEVEL); if not
+     *                         specified, the level is derived from the most severe entry being written.
+     * @param {string} name - [optional] name of the appender.
+     */
+    initialize: function(source, level, name) {
+        this._source = gs.nil(source) ? "" : ("" + source);
+        this._level = gs.nil(level) ? null : ("" + level);
+        xBufferedLogger.Appender.prototype.initialize.call(this, name);
+    },
+
+    write: function(content, entries) {
+        var logRow = new GlideRecord("syslog");
+        logRow.initialize();
+        logRow.setValue("level", (this._level != null) ? this._level : this._getSyslogLevel(entries || []));
+        logRow.setValue("source", this._source);
+        logRow.setValue("message", content);
+        logRow.insert();
+    },
+
+	/**
+	 * @return {string} the syslog level value matching the most severe of the given entries.
+	 */
+    _getSyslogLevel: function(entries) {
+        var maxValue = null;
+        for (var i = 0; i < entries.length; i++) {
+            if (maxValue == null || entries[i].level.value > maxValue)
+                maxValue = entries[i].level.value;
+        }
+
+        if (maxValue == null)
+            return xBufferedLogger.SyslogAppender.LEVEL.INFO;
+        if (maxValue >= xBufferedLogger.LOG_LEVEL.ERROR.value)
+            return xBufferedLogger.SyslogAppender.LEVEL.ERROR;
+        if (maxValue >= xBufferedLogger.LOG_LEVEL.WARN.value)
+            return xBufferedLogger.SyslogAppender.LEVEL.WARN;
+        if (maxValue >= xBufferedLogger.LOG_LEVEL.INFO.value)
+            return xBufferedLogger.SyslogAppender.LEVEL.INFO;
+        return xBufferedLogger.SyslogAppender.LEVEL.DEBUG;
+    },
+
+    type: 'xBufferedLogger.SyslogAppender'
+});
+
+//Values of the syslog table's level choice list.
+xBufferedLogger.SyslogAppender.LEVEL = {};
+xBufferedLogger.SyslogAppender.LEVEL.DEBUG = "-1";
+xBufferedLogger.SyslogAppender.LEVEL.INFO = "0";
+xBufferedLogger.SyslogAppender.LEVEL.WARN = "1";
+xBufferedLogger.SyslogAppender.LEVEL.ERROR = "2";
+
+/**
+ * Writes flushed content as a file attachment (text, JSON Lines or CSV) on the specified record.  Every flush()
+ * writes a new attachment; if a maximum size is set, content exceeding it rolls over into several attachments.
+ */
+xBufferedLogger.AttachmentAppender = Class.create();
+xBufferedLogger.AttachmentAppender.prototype = Object.extendsObject(xBufferedLogger.Appender, {
+
+    _tableName: null,
+    _recordSysId: null,
+    _fileName: null,
+
+    //true if the file name wasn't specified, in which case its extension follows the format.
+    _defaultFileName: false,
+
+    //file format (see xBufferedLogger.AttachmentAppender.FORMAT).
+    _format: null,
+
+    //maximum characters per attachment; 0 means unlimited.
+    _maxSize: 0,
+
+    //attachments written by the last flush() ([{fileName, sysId, recordDisplayValue}]).
+    _lastAttachments: null,
+
+    /**
+     * @param {string} tableName - name of the table of the record to attach to.
+     * @param {string} recordSysId - sys_id of the record to attach to.
+     * @param {string} fileName - [optional] name of the attachment file; defaults to 'log.txt' (or 'log.json' /
+     *                            'log.csv', depending on the format).
+     * @param {string} name - [optional] name of the appender.
+     */
+    initialize: function(tableName, recordSysId, fileName, name) {
+        if (gs.nil(tableName))
+            throw "xBufferedLogger.AttachmentAppender: parameter 'tableName' is required!";
+        if (gs.nil(recordSysId))
+            throw "xBufferedLogger.AttachmentAppender: parameter 'recordSysId' is required!";
+
+        this._tableName = "" + tableName;
+        this._recordSysId = "" + recordSysId;
+        this._defaultFileName = gs.nil(fileName);
+        this._fileName = gs.nil(fileName) ? "log.txt" : ("" + fileName);
+        this._format = xBufferedLogger.AttachmentAppender.FORMAT.TEXT;
+        this._lastAttachments = [];
+        xBufferedLogger.Appender.prototype.initialize.call(this, name);
+    },
+
+	/**
+	 * @param {string} format - xBufferedLogger.AttachmentAppender.FORMAT value.  JSON and CSV set this appender's
+	 *                          layout to a JSONLayout/CSVLayout and write one entry per line; TEXT uses the layout
+	 *                          and separator char of the logger (unless a layout is set on the appender).
+	 */
+    setFormat: function(format) {
+        var formatInfo = xBufferedLogger.AttachmentAppender._FORMATS[format];
+        if (!formatInfo)
+            throw "xBufferedLogger.AttachmentAppender.setFormat: Invalid format '" + format + "' specified (must be one of the xBufferedLogger.AttachmentAppender.FORMAT values)";
+
+        this._format = "" + format;
+        if (formatInfo.createLayout != null)
+            this.setLayout(formatInfo.createLayout());
+        if (this._defaultFileName)
+            this._fileName = "log." + formatInfo.extension;
+    },
+
+    getFormat: function() {
+        return this._format;
+    },
+
+	/**
+	 * @param {number} maxSize - maximum characters per attachment, or 0 for unlimited (the default).  Content
+	 *                           exceeding it rolls over into several attachments, split between entries and named
+	 *                           with a part number (ex. 'log-1.txt', 'log-2.txt'); an entry larger than the maximum
+	 *                           gets an attachment of its own.
+	 */
+    setMaxSize: function(maxSize) {
+        if (isNaN(parseInt(maxSize, 10)) || parseInt(maxSize, 10) < 0)
+            throw "xBufferedLogger.AttachmentAppender.setMaxSize: parameter 'maxSize' must be a number >= 0!";
+        this._maxSize = parseInt(maxSize, 10);
+    },
+
+    getMaxSize: function() {
+        return this._maxSize;
+    },
+
+    getTableName: function() {
+        return this._tableName;
+    },
+
+    getRecordSysId: function() {
+        return this._recordSysId;
+    },
+
+	/**
+	 * @return {Array} the attachments written by the last flush(): [{fileName, sysId, recordDisplayValue}].
+	 */
+    getLastAttachments: function() {
+        return this._lastAttachments.slice();
+    },
+
+    doAppend: function(entries, logger) {
+        this._lastAttachments = [];
+        entries = this.filter(entries);
+        if (entries.length == 0)
+            return;
+
+        var parts = this._split(entries, logger);
+        for (var i = 0; i < parts.length; i++)
+            this.write(this._formatPart(parts[i], logger), parts[i], logger, (parts.length > 1) ? (i + 1) : 0);
+    },
+
+	/**
+	 * @param {number} partNumber - [optional] number of the part, if the content rolled over into several attachments.
+	 */
+    write: function(content, entries, logger, partNumber) {
+        var gr = new GlideRecord(this._tableName);
+        if (!gr.get(this._recordSysId))
+            throw "xBufferedLogger.AttachmentAppender.write: no " + this._tableName + " record found for sys_id '"
+                + this._recordSysId + "'";
+
+        var fileName = partNumber ? this._getPartFileName(partNumber) : this._fileName;
+        var contentType = xBufferedLogger.AttachmentAppender._FORMATS[this._format].contentType;
+        var sysId = new GlideSysAttachment().write(gr, fileName, contentType, content);
+        this._lastAttachments.push({fileName: fileName, sysId: gs.nil(sysId) ? null : ("" + sysId), recordDisplayValue: gr.getDisplayValue()});
+    },
+
+	/**
+	 * @return {Array} the entries split into parts (arrays of entries) that each fit the maximum size.
+	 */
+    _split: function(entries, logger) {
+        if (this._maxSize <= 0)
+            return [entries];
+
+        var layout = this.getLayout() || logger.getLayout();
+        var separatorLength = this._getSeparator(logger).length;
+        var header = (layout.getHeader) ? layout.getHeader() : null;
+        var footer = (layout.getFooter) ? layout.getFooter() : null;
+        var baseSize = (gs.nil(header) ? 0 : (header.length + separatorLength)) + (gs.nil(footer) ? 0 : (footer.length + separatorLength));
+
+        var parts = [];
+        var part = [];
+        var size = baseSize;
+        for (var i = 0; i < entries.length; i++) {
+            var entrySize = layout.format(entries[i]).length + separatorLength;
+            if (part.length > 0 && size + entrySize > this._maxSize) {
+                parts.push(part);
+                part = [];
+                size = baseSize;
+            }
+            part.push(entries[i]);
+            size += entrySize;
+        }
+        parts.push(part);
+        return parts;
+    },
+
+    _formatPart: function(entries, logger) {
+        if (this._format == xBufferedLogger.AttachmentAppender.FORMAT.TEXT)
+            return this.format(entries, logger);
+
+        //JSON Lines and CSV files need one entry per line, whatever the logger's separator char.
+        var layout = this.getLayout() || logger.getLayout();
+        var lines = [];
+        var header = (layout.getHeader) ? layout.getHeader() : null;
+        if (!gs.nil(header))
+            lines.push(header);
+        for (var i = 0; i < entries.length; i++)
+            lines.push(layout.format(entries[i]));
+        return lines.join("\n");
+    },
+
+    _getSeparator: function(logger) {
+        return (this._format == xBufferedLogger.AttachmentAppender.FORMAT.TEXT) ? logger.getSeparatorChar() : "\n";
+    },
+
+	/**
+	 * @return {string} the file name with the part number inserted before the extension (ex. 'log-2.txt').
+	 */
+    _getPartFileName: function(partNumber) {
+        var dot = this._fileName.lastIndexOf(".");
+        if (dot <= 0)
+            return this._fileName + "-" + partNumber;
+        return this._fileName.substring(0, dot) + "-" + partNumber + this._fileName.substring(dot);
+    },
+
+    type: 'xBufferedLogger.AttachmentAppender'
+});
+
+//File formats of the AttachmentAppender.
+xBufferedLogger.AttachmentAppender.FORMAT = {};
+xBufferedLogger.AttachmentAppender.FORMAT.TEXT = "text";
+xBufferedLogger.AttachmentAppender.FORMAT.JSON = "json";
+xBufferedLogger.AttachmentAppender.FORMAT.CSV = "csv";
+
+xBufferedLogger.AttachmentAppender._FORMATS = {
+    "text": {contentType: "text/plain", extension: "txt", createLayout: null},
+    "json": {contentType: "application/json", extension: "json", createLayout: function() { return new xBufferedLogger.JSONLayout(); }},
+    "csv": {contentType: "text/csv", extension: "csv", createLayout: function() { return new xBufferedLogger.CSVLayout(); }}
+};
+
+/**
+ * Keeps flushed content in memory.  Useful for tests, or for building up the output of several flush() calls to
+ * be used elsewhere in the same transaction.
+ */
+xBufferedLogger.MemoryAppender = Class.create();
+xBufferedLogger.MemoryAppender.prototype = Object.extendsObject(xBufferedLogger.Appender, {
+
+    _contents: null,
+
+    /**
+     * @param {string} name - [optional] name of the appender.
+     */
+    initialize: function(name) {
+        this._contents = [];
+        xBufferedLogger.Appender.prototype.initialize.call(this, name);
+    },
+
+    write: function(content) {
+        this._contents.push(content);
+    },
+
+	/**
+	 * @return {Array} copy of the content written by each flush() since creation (or the last clear()).
+	 */
+    getContents: function() {
+        return this._contents.slice();
+    },
+
+    clear: function() {
+        this._contents = [];
+    },
+
+    type: 'xBufferedLogger.MemoryAppender'
+});
+
+
+////////////////////////////////////////////////// FILTERS ///////////////////////////////////////////////////
+//                                                                                                          //
+// Decide which statements are buffered by a logger, or written by an appender; see addFilter().            //
+//                                                                                                          //
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * This enum defines the results a filter can return for an entry (see xBufferedLogger.Filter.decide()).
+ */
+xBufferedLogger.FILTER_RESULT = {};
+xBufferedLogger.FILTER_RESULT.DENY = -1;    //drop the entry without consulting the rest of the filter chain.
+xBufferedLogger.FILTER_RESULT.NEUTRAL = 0;  //no opinion; the next filter in the chain decides.
+xBufferedLogger.FILTER_RESULT.ACCEPT = 1;   //keep the entry without consulting the rest of the filter chain.
+
+/**
+ * Base class of all filters.  Subclasses implement decide(entry), returning one of the xBufferedLogger.FILTER_RESULT
+ * values for the given log entry (see xBufferedLogger._createEntry() for its structure).  Custom filters can either
+ * extend this class (via Object.extendsObject), be any object that implements decide(entry), or be a function
+ * wrapped in an xBufferedLogger.FunctionFilter.
+ */
+xBufferedLogger.Filter = Class.create();
+xBufferedLogger.Filter.prototype = {
+
+    //name of the filter (used by removeFilter()); defaults to the filter's type.
+    _name: null,
+
+    /**
+     * @param {string} name - [optional] name of the filter.
+     */
+    initialize: function(name) {
+        this._name = gs.nil(name) ? this.type : ("" + name);
+    },
+
+	/**
+	 * @param {object} entry - the log entry to decide on.
+	 * @return {number} one of the xBufferedLogger.FILTER_RESULT values.
+	 */
+    decide: function(entry) {
+        return xBufferedLogger.FILTER_RESULT.NEUTRAL;
+    },
+
+    getName: function() {
+        return this._name;
+    },
+
+    type: 'xBufferedLogger.Filter'
+};
+
+/**
+ * @param {Array} filters - the filter chain.
+ * @param {object} entry - the log entry to decide on.
+ * @return {number} the decision of the first filter in the chain returning ACCEPT or DENY; NEUTRAL if none do.  A
+ *                  filter that throws an exception is treated as NEUTRAL.
+ */
+xBufferedLogger.Filter.decideChain = function(filters, entry) {
+    for (var i = 0; i < filters.length; i++) {
+        var result = xBufferedLogger.FILTER_RESULT.NEUTRAL;
+        try {
+            result = filters[i].decide(entry);
+
+        //logging should never throw exceptions; a broken filter simply has no opinion.
+        } catch (ex) {
+            result = xBufferedLogger.FILTER_RESULT.NEUTRAL;
+        }
+
+        if (result == xBufferedLogger.FILTER_RESULT.ACCEPT || result == xBufferedLogger.FILTER_RESULT.DENY)
+            return result;
+    }
+    return xBufferedLogger.FILTER_RESULT.NEUTRAL;
+};
+
+/**
+ * @param {Array} filters - the filter chain to remove the filter from.
+ * @param {xBufferedLogger.Filter|string} filter - the filter (or the name of the filter) to remove.
+ * @return {boolean} true if a filter was removed; false otherwise.
+ */
+xBufferedLogger.Filter.removeFromChain = function(filters, filter) {
+    for (var i = 0; i < filters.length; i++) {
+        var curr = filters[i];
+        if (curr === filter || (typeof filter == 'string' && curr.getName && curr.getName() == filter)) {
+            filters.splice(i, 1);
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * Denies entries outside a level range.  Entries within the range are accepted if acceptOnMatch is true, otherwise
+ * left to the rest of the chain (NEUTRAL).
+ */
+xBufferedLogger.LevelRangeFilter = Class.create();
+xBufferedLogger.LevelRangeFilter.prototype = Object.extendsObject(xBufferedLogger.Filter, {
+
+    _levelMin: null,
+    _levelMax: null,
+    _acceptOnMatch: false,
+
+    /**
+     * @param {object} levelMin - [optional] lowest level allowed (any value accepted by xBufferedLogger.toLevel()).
+     * @param {object} levelMax - [optional] highest level allowed.
+     * @param {boolean} acceptOnMatch - [optional] if true, entries within the range are accepted (default false).
+     * @param {string} name - [optional] name of the filter.
+     */
+    initialize: function(levelMin, levelMax, acceptOnMatch, name) {
+        this._levelMin = this._toLevel(levelMin, "levelMin");
+        this._levelMax = this._toLevel(levelMax, "levelMax");
+        this._acceptOnMatch = (acceptOnMatch === true);
+        xBufferedLogger.Filter.prototype.initialize.call(this, name);
+    },
+
+    decide: function(entry) {
+        if (this._levelMin != null && entry.level.value < this._levelMin.value)
+            return xBufferedLogger.FILTER_RESULT.DENY;
+        if (this._levelMax != null && entry.level.value > this._levelMax.value)
+            return xBufferedLogger.FILTER_RESULT.DENY;
+        return this._acceptOnMatch ? xBufferedLogger.FILTER_RESULT.ACCEPT : xBufferedLogger.FILTER_RESULT.NEUTRAL;
+    },
+
+    _toLevel: function(level, paramName) {
+        if (gs.nil(level))
+            return null;
+        var result = xBufferedLogger.toLevel(level);
+        if (result == null)
+            throw "xBufferedLogger.LevelRangeFilter: parameter '" + paramName + "' value '" + level + "' is not a valid log level!";
+        return result;
+    },
+
+    type: 'xBufferedLogger.LevelRangeFilter'
+});
+
+/**
+ * Matches entry messages against a regular expression (or a plain substring).  Matching entries are accepted, or
+ * denied if acceptOnMatch is false; others are left to the rest of the chain (NEUTRAL).
  */
-xBufferedLogger.LOG_LEVEL = {};
-xBufferedLogger.LOG_LEVEL.DEBUG = {value: 10000, label: "[DEBUG]"};
-xBufferedLogger.LOG_LEVEL.INFO = {value: 20000, label: "[INFO]"};
-xBufferedLogger.LOG_LEVEL.WARN = {value: 30000, label: "[WARN]"};
-xBufferedLogger.LOG_LEVEL.ERROR = {value: 40000, label: "[ERROR]"};
-xBufferedLogger.LOG_LEVEL.FATAL = {value: 50000, label: "[FATAL]"};
+xBufferedLogger.StringMatchFilter = Class.create();
+xBufferedLogger.StringMatchFilter.prototype = Object.extendsObject(xBufferedLogger.Filter, {
+
+    _regex: null,
+    _acceptOnMatch: true,
+
+    /**
+     * @param {RegExp|string} stringToMatch - regular expression to test messages against, or a substring to look for.
+     * @param {boolean} acceptOnMatch - [optional] if false, matching entries are denied instead (default true).
+     * @param {string} name - [optional] name of the filter.
+     */
+    initialize: function(stringToMatch, acceptOnMatch, name) {
+        if (gs.nil(stringToMatch))
+            throw "xBufferedLogger.StringMatchFilter: parameter 'stringToMatch' is required!";
+        this._regex = xBufferedLogger.StringMatchFilter.toRegExp(stringToMatch);
+        this._acceptOnMatch = (acceptOnMatch !== false);
+        xBufferedLogger.Filter.prototype.initialize.call(this, name);
+    },
+
+    decide: function(entry) {
+        if (!this._regex.test(entry.message))
+            return xBufferedLogger.FILTER_RESULT.NEUTRAL;
+        return this._acceptOnMatch ? xBufferedLogger.FILTER_RESULT.ACCEPT : xBufferedLogger.FILTER_RESULT.DENY;
+    },
+
+    type: 'xBufferedLogger.StringMatchFilter'
+});
+
+/**
+ * @param {RegExp|string} val - a regular expression, or a string to match literally.
+ * @return {RegExp} the value as a (non-global, so test() has no state) regular expression.
+ */
+xBufferedLogger.StringMatchFilter.toRegExp = function(val) {
+    if (val instanceof RegExp)
+        return new RegExp(val.source, (val.ignoreCase ? "i" : "") + (val.multiline ? "m" : ""));
+    return new RegExp(("" + val).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+};
+
+/**
+ * Matches a Mapped Diagnostic Context value snapshotted into the entry (see xBufferedLogger.MDC) against a value or
+ * regular expression.  Matching entries are accepted, or denied if acceptOnMatch is false; others are left to the
+ * rest of the chain (NEUTRAL).
+ */
+xBufferedLogger.MDCFilter = Class.create();
+xBufferedLogger.MDCFilter.prototype = Object.extendsObject(xBufferedLogger.Filter, {
+
+    _key: null,
+    _value: null,
+    _acceptOnMatch: true,
+
+    /**
+     * @param {string} key - the MDC key to check.
+     * @param {RegExp|string} value - [optional] the value (or regular expression) to match; if not specified, any
+     *                                entry with a value for the key matches.
+     * @param {boolean} acceptOnMatch - [optional] if false, matching entries are denied instead (default true).
+     * @param {string} name - [optional] name of the filter.
+     */
+    initialize: function(key, value, acceptOnMatch, name) {
+        if (gs.nil(key))
+            throw "xBufferedLogger.MDCFilter: parameter 'key' is required!";
+        this._key = "" + key;
+        this._value = (value == null) ? null
+            : ((value instanceof RegExp) ? xBufferedLogger.StringMatchFilter.toRegExp(value) : ("" + value));
+        this._acceptOnMatch = (acceptOnMatch !== false);
+        xBufferedLogger.Filter.prototype.initialize.call(this, name);
+    },
+
+    decide: function(entry) {
+        var mdc = entry.mdc || {};
+        if (!mdc.hasOwnProperty(this._key))
+            return xBufferedLogger.FILTER_RESULT.NEUTRAL;
+        var actual = "" + mdc[this._key];
+        var matches = (this._value == null)
+            || ((this._value instanceof RegExp) ? this._value.test(actual) : (actual == this._value));
+        if (!matches)
+            return xBufferedLogger.FILTER_RESULT.NEUTRAL;
+        return this._acceptOnMatch ? xBufferedLogger.FILTER_RESULT.ACCEPT : xBufferedLogger.FILTER_RESULT.DENY;
+    },
+
+    type: 'xBufferedLogger.MDCFilter'
+});
+
+/**
+ * Delegates the decision to a function, ex.:
+ *
+ *     new xBufferedLogger.FunctionFilter(function(entry) {
+ *         return (entry.context && entry.context.benign) ? xBufferedLogger.FILTER_RESULT.DENY : xBufferedLogger.FILTER_RESULT.NEUTRAL;
+ *     });
+ *
+ * Any return value other than one of the xBufferedLogger.FILTER_RESULT values is treated as NEUTRAL.
+ */
+xBufferedLogger.FunctionFilter = Class.create();
+xBufferedLogger.FunctionFilter.prototype = Object.extendsObject(xBufferedLogger.Filter, {
+
+    _fn: null,
+
+    /**
+     * @param {function} fn - function(entry) returning one of the xBufferedLogger.FILTER_RESULT values.
+     * @param {string} name - [optional] name of the filter.
+     */
+    initialize: function(fn, name) {
+        if (typeof fn != 'function')
+            throw "xBufferedLogger.FunctionFilter: parameter 'fn' must be a function!";
+        this._fn = fn;
+        xBufferedLogger.Filter.prototype.initialize.call(this, name);
+    },
+
+    decide: function(entry) {
+        return this._fn(entry);
+    },
+
+    type: 'xBufferedLogger.FunctionFilter'
+});
+
+/**
+ * Denies every entry.  Add it at the end of a chain of accepting filters to only keep what they accept.
+ */
+xBufferedLogger.DenyAllFilter = Class.create();
+xBufferedLogger.DenyAllFilter.prototype = Object.extendsObject(xBufferedLogger.Filter, {
+
+    decide: function(entry) {
+        return xBufferedLogger.FILTER_RESULT.DENY;
+    },
+
+    type: 'xBufferedLogger.DenyAllFilter'
+});
+
+
+
+////////////////////////////////////////////////// MASKING ///////////////////////////////////////////////////
+//                                                                                                          //
+// Removes sensitive data from logged statements; see xBufferedLogger.setMaskingEnabled().                  //
+//                                                                                                          //
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Applies a list of regular expression rules to text, replacing whatever they match.  Created with the built-in rules
+ * (see xBufferedLogger.Masker.BUILT_IN_RULES) unless told otherwise; more can be added with addRule().  A masker can be
+ * shared by several loggers (see xBufferedLogger.setMasker()).
+ */
+xBufferedLogger.Masker = Class.create();
+xBufferedLogger.Masker.prototype = {
+
+    //array of {name, regex, replacement} rules, applied in order.
+    _rules: null,
+
+    /**
+     * @param {boolean} includeBuiltInRules - [optional] if false, the masker starts without any rules (default true).
+     */
+    initialize: function(includeBuiltInRules) {
+        this._rules = [];
+        if (includeBuiltInRules !== false) {
+            var builtIns = xBufferedLogger.Masker.BUILT_IN_RULES;
+            for (var i = 0; i < builtIns.length; i++)
+                this.addRule(builtIns[i].name, builtIns[i].regex, builtIns[i].replacement);
+        }
+    },
+
+	/**
+	 * @param {string} name - name of the rule (a rule with the same name is replaced).
+	 * @param {RegExp|string} pattern - regular expression matching the sensitive data (always applied globally).
+	 * @param {string|function} replacement - [optional] replacement, as for String.replace() (default "****").
+	 */
+    addRule: function(name, pattern, replacement) {
+        if (gs.nil(name))
+            throw "xBufferedLogger.Masker.addRule: parameter 'name' is required!";
+        if (gs.nil(pattern))
+            throw "xBufferedLogger.Masker.addRule: parameter 'pattern' is required!";
+
+        var regex;
+        try {
+            regex = (pattern instanceof RegExp)
+                ? new RegExp(pattern.source, "g" + (pattern.ignoreCase ? "i" : "") + (pattern.multiline ? "m" : ""))
+                : new RegExp("" + pattern, "g");
+        } catch (ex) {
+            throw "xBufferedLogger.Masker.addRule: parameter 'pattern' value '" + pattern + "' is not a valid regular expression: " + ex;
+        }
+
+        this.removeRule(name);
+        this._rules.push({
+            name: "" + name,
+            regex: regex,
+            replacement: (replacement == null) ? xBufferedLogger.Masker.MASK : replacement
+        });
+    },
+
+	/**
+	 * @param {string} name - name of the rule to remove.
+	 * @return {boolean} true if a rule was removed; false otherwise.
+	 */
+    removeRule: function(name) {
+        for (var i = 0; i < this._rules.length; i++) {
+            if (this._rules[i].name == name) {
+                this._rules.splice(i, 1);
+                return true;
+            }
+        }
+        return false;
+    },
+
+	/**
+	 * @return {Array} the names of the rules, in the order they're applied.
+	 */
+    getRuleNames: function() {
+        var names = [];
+        for (var i = 0; i < this._rules.length; i++)
+            names.push(this._rules[i].name);
+        return names;
+    },
+
+	/**
+	 * @param {string} text - the text to mask.
+	 * @return {string} the text with everything matched by the rules replaced.
+	 */
+    mask: function(text) {
+        text = "" + text;
+        for (var i = 0; i < this._rules.length; i++)
+            text = text.replace(this._rules[i].regex, this._rules[i].replacement);
+        return text;
+    },
+
+    type: 'xBufferedLogger.Masker'
+};
+
+//Replacement used by rules that don't specify one.
+xBufferedLogger.Masker.MASK = "****";
+
+/**
+ * @return {string} the matched card number masked except for its last 4 digits, or unchanged if it fails the Luhn
+ *                  check (to leave other long numbers, such as record numbers and timestamps, alone).
+ */
+xBufferedLogger.Masker.maskCardNumber = function(match) {
+    var digits = match.replace(/\D/g, "");
+    var sum = 0;
+    for (var i = 0; i < digits.length; i++) {
+        var digit = parseInt(digits.charAt(digits.length - 1 - i), 10);
+        if (i % 2 == 1) {
+            digit *= 2;
+            if (digit > 9)
+                digit -= 9;
+        }
+        sum += digit;
+    }
+    if (sum % 10 != 0)
+        return match;
+    return xBufferedLogger.Masker.MASK + digits.substring(digits.length - 4);
+};
+
+/**
+ * The rules maskers are created with (unless told otherwise), in the order they're applied.
+ */
+xBufferedLogger.Masker.BUILT_IN_RULES = [
+
+    //Authorization/Proxy-Authorization headers, ex. "Authorization: Bearer eyJhbGci..." -> "Authorization: Bearer ****".
+    {
+        name: "authorization_header",
+        regex: /(\b(?:proxy-)?authorization["']?\s*[:=]\s*["']?(?:(?:basic|bearer|digest|negotiate|token)\s+)?)[^\s"',;]+/gi,
+        replacement: "$1" + xBufferedLogger.Masker.MASK
+    },
+
+    //password=..., "client_secret": "...", api_key: ... etc.
+    {
+        name: "password_pair",
+        regex: /(\b(?:password|passwd|pwd|passphrase|secret|client_secret|api_?key|access_token|refresh_token|token)["']?\s*[:=]\s*["']?)[^\s"'&,;]+/gi,
+        replacement: "$1" + xBufferedLogger.Masker.MASK
+    },
+
+    //credit card like numbers (13-19 digits, optionally separated by spaces or dashes) passing the Luhn check.
+    {
+        name: "credit_card",
+        regex: /\b\d(?:[ -]?\d){12,18}\b/g,
+        replacement: xBufferedLogger.Masker.maskCardNumber
+    },
+
+    //US social security numbers, ex. 123-45-6789.
+    {
+        name: "ssn",
+        regex: /\b\d{3}-\d{2}-\d{4}\b/g,
+        replacement: "***-**-****"
+    },
+
+    //email addresses; the first character and domain are kept, ex. "j****@example.com".
+    {
+        name: "email",
+        regex: /\b([A-Za-z0-9])[A-Za-z0-9._%+-]*@([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,})\b/g,
+        replacement: "$1" + xBufferedLogger.Masker.MASK + "@$2"
+    }
+];
+
+
+
+////////////////////////////////////////////////// LAYOUTS ///////////////////////////////////////////////////
+//                                                                                                          //
+// Formatters turning log entries into text; set on a logger (or an individual appender) with setLayout().  //
+//                                                                                                          //
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Base class of all layouts.  format() turns a single entry into a line of text; getHeader() and getFooter() can
+ * return text to be written before/after the formatted entries (or null for none).  Custom layouts can either extend
+ * this class (via Object.extendsObject) or be any object that implements format(entry).
+ *
+ * The base class also provides formatThrowable() for rendering exceptions captured by error()/fatal(), limited to
+ * the layout's maximum stack depth (see setMaxStackDepth()).
+ */
+xBufferedLogger.Layout = Class.create();
+xBufferedLogger.Layout.prototype = {
+
+    //maximum number of stack trace lines rendered per exception (0 for unlimited).
+    _maxStackDepth: 20,
+
+    initialize: function() {
+    },
+
+	/**
+	 * @param {number} maxStackDepth - maximum number of stack trace lines rendered per exception (and per cause);
+	 *                                 0 for unlimited.
+	 */
+    setMaxStackDepth: function(maxStackDepth) {
+        var depth = parseInt(maxStackDepth);
+        if (isNaN(depth) || depth < 0)
+            throw "xBufferedLogger.Layout.setMaxStackDepth: Invalid depth '" + maxStackDepth + "' specified";
+        this._maxStackDepth = depth;
+    },
+
+    getMaxStackDepth: function() {
+        return this._maxStackDepth;
+    },
+
+	/**
+	 * @return {string} the entry's message, followed by " ... repeated N times" if the statement was repeated (see
+	 *                  xBufferedLogger.setCollapseRepeats()).
+	 */
+    formatMessage: function(entry) {
+        if (!entry.repeatCount)
+            return entry.message;
+        return entry.message + " ... repeated " + xBufferedLogger.Layout.formatNumber(entry.repeatCount)
+            + ((entry.repeatCount == 1) ? " time" : " times");
+    },
+
+	/**
+	 * @return {string} the entry's NDC snapshot as a space separated string ("" if none).
+	 */
+    formatNDC: function(entry) {
+        return (entry.ndc != null) ? entry.ndc.join(" ") : "";
+    },
+
+	/**
+	 * @param {object} entry - the log entry.
+	 * @param {string} key - [optional] the MDC key to output; if nil, all keys are output as "{key1=val1, key2=val2}".
+	 * @return {string} the value(s) of the entry's MDC snapshot ("" if none).
+	 */
+    formatMDC: function(entry, key) {
+        if (entry.mdc == null)
+            return "";
+        if (!gs.nil(key))
+            return (entry.mdc.hasOwnProperty(key) && entry.mdc[key] != null) ? entry.mdc[key] : "";
+
+        var pairs = [];
+        for (var k in entry.mdc)
+            pairs.push(k + "=" + entry.mdc[k]);
+        return "{" + pairs.join(", ") + "}";
+    },
+
+	/**
+	 * @param {object} throwable - a captured exception (the throwable of a log entry).
+	 * @param {number} maxStackDepth - [optional] overrides the layout's maximum stack depth.
+	 * @return {string} the exception rendered Java style, ex.
+	 *
+	 *     TypeError: Cannot read property "x" from undefined (sys_script_include.1234.script; line 42)
+	 *         at ...
+	 *         ... 12 more
+	 *     Caused by: java.lang.NullPointerException
+	 *         at ...
+	 */
+    formatThrowable: function(throwable, maxStackDepth) {
+        if (throwable == null)
+            return "";
+        var maxDepth = (maxStackDepth == null) ? this._maxStackDepth : maxStackDepth;
+
+        var lines = [];
+        for (var curr = throwable, i = 0; curr != null; curr = curr.cause, i++) {
+            var header = (i > 0) ? "Caused by: " : "";
+            header += (curr.name != null) ? curr.name : "";
+            if (curr.message != null)
+                header += (curr.name != null) ? (": " + curr.message) : curr.message;
+            if (curr.fileName != null || curr.lineNumber != null)
+                header += " (" + ((curr.fileName != null) ? curr.fileName : "unknown")
+                    + ((curr.lineNumber != null) ? ("; line " + curr.lineNumber) : "") + ")";
+            lines.push(header);
+
+            var frameCount = (maxDepth > 0) ? Math.min(maxDepth, curr.stack.length) : curr.stack.length;
+            for (var j = 0; j < frameCount; j++)
+                lines.push("\tat " + curr.stack[j]);
+            if (frameCount < curr.stack.length)
+                lines.push("\t... " + (curr.stack.length - frameCount) + " more");
+        }
+        return lines.join("\n");
+    },
+
+	/**
+	 * @param {object} entry - the log entry to format.
+	 * @return {string} the formatted entry.
+	 */
+    format: function(entry) {
+        throw "xBufferedLogger.Layout.format: layout '" + this.type + "' must implement format()!";
+    },
+
+    getHeader: function() {
+        return null;
+    },
+
+    getFooter: function() {
+        return null;
+    },
+
+    type: 'xBufferedLogger.Layout'
+};
+
+/**
+ * @return {string} the given integer with thousands separators, ex. 4312 -> "4,312".
+ */
+xBufferedLogger.Layout.formatNumber = function(num) {
+    return ("" + num).replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+};
+
+/**
+ * The default layout; formats entries as "[LEVEL]: message", followed by the exception (on the next lines) if one
+ * was logged.  If diagnostic context was recorded on the entry, it is included before the message, ex.
+ * "[INFO]: [import ISET0010023 row 17] {correlation_id=abc123} message".
+ */
+xBufferedLogger.SimpleLayout = Class.create();
+xBufferedLogger.SimpleLayout.prototype = Object.extendsObject(xBufferedLogger.Layout, {
+
+    format: function(entry) {
+        var out = entry.level.label + ": ";
+        if (entry.ndc != null)
+            out += "[" + this.formatNDC(entry) + "] ";
+        if (entry.mdc != null)
+            out += this.formatMDC(entry) + " ";
+        out += this.formatMessage(entry);
+        if (entry.throwable != null)
+            out += "\n" + this.formatThrowable(entry.throwable);
+        return out;
+    },
+
+    type: 'xBufferedLogger.SimpleLayout'
+});
+
+/**
+ * Formats entries using a log4j style conversion pattern, ex. "%d{ISO8601} %-5p [%c] %m".  Supported conversions:
+ *
+ *     %d{format} date/time the entry was logged, in the current user's time zone.  format is either one of ISO8601
+ *                (default), ABSOLUTE or DATE, or a date pattern made up of yyyy, yy, MMM, MM, dd, HH, mm, ss and SSS
+ *                (ex. %d{yyyy-MM-dd HH:mm:ss}).
+ *     %p         level name (ex. WARN).
+ *     %c{n}      logger name; if n is specified, only its last n dot-separated components are output.
+ *     %r         ms elapsed between the creation of the logger and the entry being logged.
+ *     %sn        sequence number of the entry.
+ *     %X{key}    value of the given key in the entry's Mapped Diagnostic Context; without {key}, all of its keys
+ *                and values as "{key1=val1, key2=val2}".
+ *     %x         the entry's Nested Diagnostic Context (space separated).
+ *     %m         the message.
+ *     %ex{n}     the exception logged with the entry (if any), with at most n stack trace lines per exception
+ *                (defaults to the layout's maximum stack depth).  Also available as %throwable.  If the pattern
+ *                doesn't contain this conversion, the exception is appended on the lines following the entry.
+ *     %n         line break.  Since entries are already separated by the logger's separator char on flush(), a
+ *                trailing %n is ignored.
+ *     %%         a literal percent sign.
+ *
+ * As in log4j, each conversion can be given a minimum width (padded on the left, or the right if prefixed with "-")
+ * and a maximum width (truncated from the beginning), ex. %-5p or %.30c.
+ */
+xBufferedLogger.PatternLayout = Class.create();
+xBufferedLogger.PatternLayout.prototype = Object.extendsObject(xBufferedLogger.Layout, {
+
+    //the parsed pattern; an array of literal strings and conversion specifications.
+    _tokens: null,
+
+    //true if the pattern renders exceptions itself (%ex/%throwable).
+    _rendersThrowable: false,
+
+    /**
+     * @param {string} pattern - the conversion pattern; defaults to xBufferedLogger.PatternLayout.DEFAULT_PATTERN.
+     */
+    initialize: function(pattern) {
+        pattern = gs.nil(pattern) ? xBufferedLogger.PatternLayout.DEFAULT_PATTERN : ("" + pattern);
+
+        //entries are already separated on flush(), so a trailing line break would only produce blank lines.
+        if (pattern.length >= 2 && pattern.substring(pattern.length - 2) == "%n")
+            pattern = pattern.substring(0, pattern.length - 2);
+
+        this._tokens = this._parse(pattern);
+        for (var i = 0; i < this._tokens.length; i++) {
+            if (typeof this._tokens[i] != 'string' && xBufferedLogger.PatternLayout.THROWABLE_CONVERSIONS[this._tokens[i].conversion])
+                this._rendersThrowable = true;
+        }
+    },
+
+    format: function(entry) {
+        var out = "";
+        for (var i = 0; i < this._tokens.length; i++) {
+            var token = this._tokens[i];
+            if (typeof token == 'string') {
+                out += token;
+                continue;
+            }
+
+            var val = "" + xBufferedLogger.PatternLayout.CONVERTERS[token.conversion](entry, token.option, this);
+
+            //apply max width (truncating from the beginning, as log4j does), then min width padding.
+            if (token.maxWidth != null && val.length > token.maxWidth)
+                val = val.substring(val.length - token.maxWidth);
+            while (token.minWidth != null && val.length < token.minWidth)
+                val = token.leftAlign ? (val + " ") : (" " + val);
+            out += val;
+        }
+
+        if (entry.throwable != null && !this._rendersThrowable)
+            out += "\n" + this.formatThrowable(entry.throwable);
+        return out;
+    },
+
+	/**
+	 * @return {Array} the tokens (literal strings and conversion specifications) making up the given pattern.
+	 */
+    _parse: function(pattern) {
+        var tokens = [];
+        var literal = "";
+        var specRegex = /^%(-?)(\d*)(?:\.(\d+))?([a-zA-Z]+)/;
+
+        var i = 0;
+        while (i < pattern.length) {
+            var ch = pattern.charAt(i);
+            if (ch != "%") {
+                literal += ch;
+                i++;
+                continue;
+            }
+            if (pattern.charAt(i + 1) == "%") {
+                literal += "%";
+                i += 2;
+                continue;
+            }
+
+            var match = specRegex.exec(pattern.substring(i));
+            if (!match)
+                throw "xBufferedLogger.PatternLayout: invalid conversion specification at position " + i + " of pattern '"
+                    + pattern + "'";
+
+            //the conversion is the longest known converter name the letters start with (so "%msg" is %m followed by "sg").
+            var letters = match[4];
+            var conversion = null;
+            for (var len = letters.length; len > 0 && conversion == null; len--) {
+                if (xBufferedLogger.PatternLayout.CONVERTERS.hasOwnProperty(letters.substring(0, len)))
+                    conversion = letters.substring(0, len);
+            }
+            if (conversion == null)
+                throw "xBufferedLogger.PatternLayout: unknown conversion '%" + letters + "' in pattern '" + pattern + "'";
+            i += match[0].length - (letters.length - conversion.length);
+
+            //optional {option} directly after the conversion.
+            var option = null;
+            if (pattern.charAt(i) == "{") {
+                var end = pattern.indexOf("}", i);
+                if (end < 0)
+                    throw "xBufferedLogger.PatternLayout: unterminated option for '%" + conversion + "' in pattern '"
+                        + pattern + "'";
+                option = pattern.substring(i + 1, end);
+                i = end + 1;
+            }
+
+            if (literal.length > 0) {
+                tokens.push(literal);
+                literal = "";
+            }
+            tokens.push({
+                conversion: conversion,
+                option: option,
+                leftAlign: (match[1] == "-"),
+                minWidth: (match[2].length > 0) ? parseInt(match[2]) : null,
+                maxWidth: (match[3] !== undefined && match[3] !== "") ? parseInt(match[3]) : null
+            });
+        }
+        if (literal.length > 0)
+            tokens.push(literal);
+
+        return tokens;
+    },
+
+    type: 'xBufferedLogger.PatternLayout'
+});
+
+xBufferedLogger.PatternLayout.DEFAULT_PATTERN = "%d{ISO8601} %-5p [%c] %m";
+
+//Named date formats supported by %d, as defined by log4j.
+xBufferedLogger.PatternLayout.DATE_FORMATS = {};
+xBufferedLogger.PatternLayout.DATE_FORMATS.ISO8601 = "yyyy-MM-dd HH:mm:ss,SSS";
+xBufferedLogger.PatternLayout.DATE_FORMATS.ABSOLUTE = "HH:mm:ss,SSS";
+xBufferedLogger.PatternLayout.DATE_FORMATS.DATE = "dd MMM yyyy HH:mm:ss,SSS";
+
+/**
+ * Map of conversion name -> function(entry, option, layout) returning the converted value.  Additional conversions
+ * can be supported by adding to this map.
+ */
+xBufferedLogger.PatternLayout.CONVERTERS = {};
+xBufferedLogger.PatternLayout.CONVERTERS.d = function(entry, option) {
+    return xBufferedLogger.PatternLayout.formatDate(entry.timestamp, option);
+};
+xBufferedLogger.PatternLayout.CONVERTERS.p = function(entry) {
+    return entry.level.name;
+};
+xBufferedLogger.PatternLayout.CONVERTERS.c = function(entry, option) {
+    var name = entry.loggerName || "";
+    var precision = gs.nil(option) ? NaN : parseInt(option);
+    if (isNaN(precision) || precision <= 0)
+        return name;
+
+    var parts = name.split(".");
+    return parts.slice(Math.max(0, parts.length - precision)).join(".");
+};
+xBufferedLogger.PatternLayout.CONVERTERS.r = function(entry) {
+    return entry.elapsed;
+};
+xBufferedLogger.PatternLayout.CONVERTERS.sn = function(entry) {
+    return entry.sequence;
+};
+xBufferedLogger.PatternLayout.CONVERTERS.X = function(entry, option, layout) {
+    return layout.formatMDC(entry, option);
+};
+xBufferedLogger.PatternLayout.CONVERTERS.x = function(entry, option, layout) {
+    return layout.formatNDC(entry);
+};
+xBufferedLogger.PatternLayout.CONVERTERS.m = function(entry, option, layout) {
+    return layout.formatMessage(entry);
+};
+xBufferedLogger.PatternLayout.CONVERTERS.n = function() {
+    return "\n";
+};
+xBufferedLogger.PatternLayout.CONVERTERS.ex = function(entry, option, layout) {
+    if (entry.throwable == null)
+        return "";
+    var depth = gs.nil(option) ? NaN : parseInt(option);
+    return layout.formatThrowable(entry.throwable, isNaN(depth) ? null : depth);
+};
+xBufferedLogger.PatternLayout.CONVERTERS.throwable = xBufferedLogger.PatternLayout.CONVERTERS.ex;
+
+//Conversions that render the entry's exception.
+xBufferedLogger.PatternLayout.THROWABLE_CONVERSIONS = {ex: true, throwable: true};
+
+/**
+ * @param {number} timestamp - ms since the epoch.
+ * @param {string} format - [optional] named date format (see DATE_FORMATS) or date pattern; defaults to ISO8601.
+ * @return {string} the formatted date, in the time zone of the current user (the system time zone for background
+ *                  transactions, ex. scheduled jobs), as GlideDateTime displays it.
+ */
+xBufferedLogger.PatternLayout.formatDate = function(timestamp, format) {
+    format = gs.nil(format) ? "ISO8601" : ("" + format);
+    if (xBufferedLogger.PatternLayout.DATE_FORMATS.hasOwnProperty(format))
+        format = xBufferedLogger.PatternLayout.DATE_FORMATS[format];
+
+    //JS Dates use the JVM's time zone, so shift the timestamp by the offset GlideDateTime uses and read it as UTC.
+    var gdt = new GlideDateTime();
+    gdt.setNumericValue(timestamp);
+    var dt = new Date(timestamp + parseInt("" + gdt.getTZOffset(), 10));
+    var pad = function(num, len) {
+        var str = "" + num;
+        while (str.length < len)
+            str = "0" + str;
+        return str;
+    };
+    var months = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+    return format.replace(/yyyy|yy|MMM|MM|dd|HH|mm|ss|SSS/g, function(token) {
+        switch (token) {
+            case "yyyy": return pad(dt.getUTCFullYear(), 4);
+            case "yy": return pad(dt.getUTCFullYear() % 100, 2);
+            case "MMM": return months[dt.getUTCMonth()];
+            case "MM": return pad(dt.getUTCMonth() + 1, 2);
+            case "dd": return pad(dt.getUTCDate(), 2);
+            case "HH": return pad(dt.getUTCHours(), 2);
+            case "mm": return pad(dt.getUTCMinutes(), 2);
+            case "ss": return pad(dt.getUTCSeconds(), 2);
+            case "SSS": return pad(dt.getUTCMilliseconds(), 3);
+        }
+        return token;
+    });
+};
+
+/**
+ * Formats entries as rows of an HTML table (with columns for time, level, logger, diagnostic context and message),
+ * escaping all values.
+ */
+xBufferedLogger.HTMLLayout = Class.create();
+xBufferedLogger.HTMLLayout.prototype = Object.extendsObject(xBufferedLogger.Layout, {
+
+    _title: null,
+
+    /**
+     * @param {string} title - [optional] caption of the table.
+     */
+    initialize: function(title) {
+        this._title = gs.nil(title) ? null : ("" + title);
+    },
+
+    getHeader: function() {
+        return "<table border=\"1\" cellpadding=\"2\" cellspacing=\"0\">"
+            + ((this._title != null) ? ("<caption>" + this._escape(this._title) + "</caption>") : "")
+            + "<tr><th>Time</th><th>Level</th><th>Logger</th><th>Context</th><th>Message</th></tr>";
+    },
+
+    format: function(entry) {
+        return "<tr class=\"level_" + entry.level.name.toLowerCase() + "\">"
+            + "<td>" + this._escape(xBufferedLogger.PatternLayout.formatDate(entry.timestamp)) + "</td>"
+            + "<td>" + this._escape(entry.level.name) + "</td>"
+            + "<td>" + this._escape(entry.loggerName) + "</td>"
+            + "<td>" + this._escape((this.formatNDC(entry) + " " + this.formatMDC(entry)).replace(/^\s+|\s+$/g, "")) + "</td>"
+            + "<td>" + this._escape(this.formatMessage(entry)).replace(/\n/g, "<br />")
+            + ((entry.throwable != null) ? ("<pre>" + this._escape(this.formatThrowable(entry.throwable)) + "</pre>") : "")
+            + "</td>"
+            + "</tr>";
+    },
+
+    getFooter: function() {
+        return "</table>";
+    },
+
+    _escape: function(val) {
+        return ("" + val).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+    },
+
+    type: 'xBufferedLogger.HTMLLayout'
+});
+
+/**
+ * Formats each entry as a single line JSON object (JSON Lines), with the timestamp as an ISO-8601 UTC string.
+ */
+xBufferedLogger.JSONLayout = Class.create();
+xBufferedLogger.JSONLayout.prototype = Object.extendsObject(xBufferedLogger.Layout, {
+
+    format: function(entry) {
+        return JSON.stringify(this._toObject(entry));
+    },
+
+	/**
+	 * @return {object} the plain object that is serialized for the given entry.
+	 */
+    _toObject: function(entry) {
+        var obj = {
+            timestamp: new Date(entry.timestamp).toISOString(),
+            level: entry.level.name,
+            logger: entry.loggerName,
+            sequence: entry.sequence,
+            message: entry.message
+        };
+        if (entry.context != null)
+            obj.context = entry.context;
+        if (entry.mdc != null)
+            obj.mdc = entry.mdc;
+        if (entry.ndc != null)
+            obj.ndc = entry.ndc;
+        if (entry.throwable != null)
+            obj.throwable = this._limitStack(entry.throwable);
+        if (entry.repeatCount > 0) {
+            obj.repeatCount = entry.repeatCount;
+            obj.lastTimestamp = new Date(entry.lastTimestamp).toISOString();
+        }
+        return obj;
+    },
+
+	/**
+	 * @return {object} copy of the captured exception (and its causes) with stacks cut to the maximum stack depth.
+	 */
+    _limitStack: function(throwable) {
+        var copy = {};
+        for (var key in throwable)
+            copy[key] = throwable[key];
+        if (this._maxStackDepth > 0 && copy.stack.length > this._maxStackDepth)
+            copy.stack = copy.stack.slice(0, this._maxStackDepth);
+        if (copy.cause != null)
+            copy.cause = this._limitStack(copy.cause);
+        return copy;
+    },
+
+    type: 'xBufferedLogger.JSONLayout'
+});
+
+/**
+ * Formats entries as CSV (RFC 4180) rows with a header row, with the timestamp as an ISO-8601 UTC string.
+ */
+xBufferedLogger.CSVLayout = Class.create();
+xBufferedLogger.CSVLayout.prototype = Object.extendsObject(xBufferedLogger.Layout, {
+
+    getHeader: function() {
+        return ["timestamp", "level", "logger", "sequence", "ndc", "mdc", "message", "throwable"].join(",");
+    },
+
+    format: function(entry) {
+        return [
+            this._escape(new Date(entry.timestamp).toISOString()),
+            this._escape(entry.level.name),
+            this._escape(entry.loggerName),
+            this._escape(entry.sequence),
+            this._escape(this.formatNDC(entry)),
+            this._escape(this.formatMDC(entry)),
+            this._escape(this.formatMessage(entry)),
+            this._escape(this.formatThrowable(entry.throwable))
+        ].join(",");
+    },
+
+    _escape: function(val) {
+        val = (val == null) ? "" : ("" + val);
+        if (/[",\r\n]/.test(val))
+            val = "\"" + val.replace(/"/g, "\"\"") + "\"";
+        return val;
+    },
+
+    type: 'xBufferedLogger.CSVLayout'
+});
@@ -9,6 +9,32 @@
 * logToImportSet() to log the buffered log content to the Import Set Row used to instantiate this class, or its parent
 * Import Set.
 *
+* The logger can be initialized with an Import Set Row (any table extending sys_import_set_row, ex. the 'source' of a
+* Transform Map script), an Import Set (ex. the 'import_set' of an onComplete or scheduled import post-script), a
+* sys_id plus table name, an Import Set number, or a Transform Map plus the Import Set it is transforming (ex. the 'map'
+* and 'import_set' of an onStart script).
+*
+* The Import Log writing itself is done by the xImportSetLogger.ImportLogAppender class, which can also be added to
+* any plain xBufferedLogger (alongside its other appenders) via addAppender().  The level of each Import Log entry is
+* set from the most severe statement it contains, so the standard Import Log list can be filtered and sorted by
+* severity; optionally, every WARN or higher statement gets an entry of its own (see setSplitBySeverity()).
+*
+* Alongside the free-text logs, the outcome of each row (inserted, updated, ignored, skipped or error, with a reason
+* code) can be recorded with recordOutcome(), and aggregated across the whole Import Set from an onComplete script
+* with xImportSetLogger.writeImportSetSummary().
+*
+* xImportSetLogger.runTransformScript() wraps the usual Transform Map script boilerplate (create and configure the
+* logger, catch unhandled exceptions, flag the row per policy and write the Import Log) around a callback.
+*
+* Logs too large for the Import Log message field can be exported as attachment(s) on the Import Set, leaving a
+* pointer entry in the Import Log (see setImportSetAttachmentExport()).
+*
+* Data quality policy can be enforced with escalation rules (see addEscalationRule()), which flag the row as errored or
+* ignored when a statement at or above a given level is logged, and with an error threshold (see setErrorThreshold()),
+* which flags the rest of the rows once too many errors were logged in the Import Set.  Either way, the escalation is
+* written to the row's Import Log, and only takes effect on the row once the Transform Map script applies it through
+* its 'error'/'ignore' variables (see getEscalation(); runTransformScript() does so).
+*
 * WARNING: SEE THE NOTES IN THE xBufferedLogger CLASS FOR INFORMATION ON SAFE USAGE OF THIS CLASS.
 *
 * Copyright 2026 github.com/derekpage3
@@ -33,38 +59,94 @@ xImportSetLogger.prototype = Object.extendsObject(xBufferedLogger, {
 	sourceRowSysId: null,
 	sourceImportSetSysId: null,
 
+	//row number (sys_import_row) and table of the Import Set Row; null if attached to an Import Set.
+	sourceRowNumber: null,
+	sourceRowTable: null,
+
+	//outcome of the row ({outcome, reasonCode, detail}) to write on logToImportRow(), or null (see recordOutcome()).
+	_outcome: null,
+
+	//if true, every WARN or higher statement is written as an Import Log entry of its own.
+	_splitBySeverity: false,
+
+	//escalation rules ({level, policy, comment}) evaluated on logToImportRow() (see addEscalationRule()).
+	_escalationRules: null,
+
+	//{maxErrors, policy} evaluated on logToImportRow(), or null (see setErrorThreshold()).
+	_errorThreshold: null,
+
+	//escalation applied to the row on logToImportRow() ({policy, state, comment}), or null (see getEscalation()).
+	_escalation: null,
+
 	/**
-	 * @param {GlideRecord} the 'source' record from the Transform Map script.
+	 * @param {GlideRecord|string} source - the record to log against, one of:
+	 *                                        - an Import Set Row (any table extending sys_import_set_row), ex. the
+	 *                                          'source' record from a Transform Map script.
+	 *                                        - an Import Set (sys_import_set), ex. the 'import_set' record from an
+	 *                                          onComplete or scheduled import post-script.
+	 *                                        - a Transform Map (sys_transform_map), ex. the 'map' record from an
+	 *                                          onStart script; the logger is attached to the Import Set being
+	 *                                          transformed with the map (see 'tableName').
+	 *                                        - the sys_id of any of the above (requires tableName).
+	 *                                        - an Import Set number (ex. "ISET0010023") or sys_id.
+	 * @param {string|GlideRecord} tableName - [optional] the table of the record, if 'source' is a sys_id; or if
+	 *                                         'source' is a Transform Map record, the Import Set it is transforming
+	 *                                         (ex. the 'import_set' record from an onStart script), or its number or
+	 *                                         sys_id.  Without it, the Import Set is only found if it is the only one
+	 *                                         of the map's source table being processed.
 	 *
-	 * Initializes a new import set logger with the provided source row from a transform map script.
+	 * Initializes a new import set logger attached to the provided Import Set Row or Import Set.
 	 */
-    initialize: function(sourceRecord) {
-		if (gs.nil(sourceRecord))
-			throw "xImportSetLogger: Parameter 'sourceRecord' is required!";
-		if (!(sourceRecord instanceof GlideRecord))
-			throw "xImportSetLogger: Parameter 'sourceRecord' must be a GlideRecord!";
+    initialize: function(source, tableName) {
+		if (gs.nil(source))
+			throw "xImportSetLogger: Parameter 'source' is required!";
+
+		//With a record as source, the second parameter can only be the Import Set of a Transform Map.
+		var importSet = null;
+		if (source instanceof GlideRecord && !gs.nil(tableName)) {
+			importSet = tableName;
+			tableName = null;
+		}
+
+		var sourceRecord = xImportSetLogger._getSourceRecord(source, tableName);
+		var tables = xImportSetLogger._getTableHierarchy(sourceRecord.getTableName());
 
 		//If sourceRecord is an Import Set record, then the logger will be attached to the import set.
-		if (sourceRecord.getTableName() == "sys_import_set") {
+		if (tables.indexOf("sys_import_set") >= 0) {
 			this.sourceImportSetSysId = "" + sourceRecord.sys_id;
 
-		//Otherwise, the logger must be attached to an import set row.
-		//TODO: Make this logic a bit "smarter" than just checking for the "sys_import_set" field.
-		} else if (source.getElement("sys_import_set") !== null) {
+		//If sourceRecord extends the Import Set Row table, then the logger will be attached to the import set row.
+		} else if (tables.indexOf("sys_import_set_row") >= 0) {
 			this.sourceRowSysId = "" + sourceRecord.sys_id;
 			this.sourceImportSetSysId = "" + sourceRecord.sys_import_set;
+			this.sourceRowNumber = gs.nil(sourceRecord.sys_import_row) ? null : parseInt("" + sourceRecord.sys_import_row, 10);
+			this.sourceRowTable = sourceRecord.getTableName();
+
+		//If sourceRecord is a Transform Map, then the logger will be attached to the import set it is transforming.
+		} else if (tables.indexOf("sys_transform_map") >= 0) {
+			this.sourceImportSetSysId = (importSet != null)
+				? xImportSetLogger._getImportSetForMap(sourceRecord, importSet)
+				: xImportSetLogger._findImportSetForMap(sourceRecord);
 
 		//Otherwise, unsupported record type.
 		} else {
-			throw "xImportSetLogger: Parameter 'sourceRecord' does not appear to be an Import Set or Import set Row record!";
+			throw "xImportSetLogger: Parameter 'source' is not an Import Set, Import Set Row or Transform Map record (table '" + sourceRecord.getTableName() + "')!";
 		}
 
 		//Run initializer of parent xBufferedLogger class.
 		xBufferedLogger.prototype.initialize.call(this);
+		this._escalationRules = [];
+
+		//A new logger is created for every row, so this picks up changes to watched log level properties per row.
+		xBufferedLogger.refreshLevels();
     },
 
 	/**
-	 * Log all contents in the log buffer to the Import Set Row that was used to initialize this logger.
+	 * Log all contents in the log buffer to the Import Set Row that was used to initialize this logger (as well as
+	 * to any appenders registered with this logger).  If an outcome was recorded for the row (see recordOutcome()),
+	 * it is written as well.  Afterwards, the escalation rules and error threshold are evaluated, and if one of them
+	 * applies (per the stronger of the two policies if both do), the escalation of the row is set (see getEscalation())
+	 * and written to its Import Log.
 	 */
 	logToImportRow: function() {
 
@@ -72,35 +154,895 @@ xImportSetLogger.prototype = Object.extendsObject(xBufferedLogger, {
 		if (gs.nil(this.sourceRowSysId))
 			throw "xImportSetLogger.logToImportRow: logger was not initialized against an Import Set Row, therefore logging to an import set row is not supported";
 
+		//Escalation rules apply to the statements logged since the last flush, so they're evaluated before this one.
+		var escalation = this._evaluateEscalationRules();
+
 		//Write log entry against the Import Set Row if any content has been logged.
-		var logContent = this.flush();
-		if (logContent.length > 0) {
-			var logRow = new GlideRecord("import_log");
-			logRow.initialize();
-			logRow.setValue("level", "");
-			logRow.setValue("import_set_row", this.sourceRowSysId);
-			logRow.setValue("message", logContent);
-			logRow.insert();
+		var rowAppender = this._createImportLogAppender(null, this.sourceRowSysId);
+		this._flush(this.getAppenders().concat([rowAppender]));
+
+		//Keep the running error count of the Import Set up to date, once it has been read (see _evaluateErrorThreshold()).
+		var errorState = xImportSetLogger._getErrorState(this.sourceImportSetSysId);
+		if (errorState.errorCount != null)
+			errorState.errorCount += rowAppender.getErrorEntryCount();
+
+		if (this._outcome != null) {
+			this._writeOutcome(this._outcome);
+			this._outcome = null;
+		}
+
+		//The error threshold includes the errors just written; if both apply, the stronger policy is used.
+		escalation = xImportSetLogger._getStrongerEscalation(escalation, this._evaluateErrorThreshold());
+		if (escalation != null) {
+			this._escalation = escalation;
+			this._writeEscalation(escalation);
 		}
 	},
 
+	/**
+	 * @param {string} outcome - the outcome of the row (one of the xImportSetLogger.OUTCOME values).
+	 * @param {string} reasonCode - [optional] short code for the reason of the outcome, ex. "MISSING_MANAGER" (used to
+	 *                              group rows in the Import Set summary; whitespace is replaced by underscores).
+	 * @param {string} detail - [optional] free-text detail.
+	 *
+	 * Records the outcome of the Import Set Row this logger was initialized with.  It is written on logToImportRow()
+	 * as a dedicated Import Log entry (against both the row and its Import Set) that bypasses the layout, which
+	 * xImportSetLogger.writeImportSetSummary() aggregates.  Recording another outcome for the row replaces it, as
+	 * does writing one from another logger or script for the same row (ex. onBefore and then onAfter).
+	 */
+	recordOutcome: function(outcome, reasonCode, detail) {
+		if (gs.nil(this.sourceRowSysId))
+			throw "xImportSetLogger.recordOutcome: logger was not initialized against an Import Set Row, therefore recording a row outcome is not supported";
+
+		var validOutcome = false;
+		for (var key in xImportSetLogger.OUTCOME)
+			validOutcome = validOutcome || (xImportSetLogger.OUTCOME[key] == outcome);
+		if (!validOutcome)
+			throw "xImportSetLogger.recordOutcome: Invalid outcome '" + outcome + "' specified (must be one of the xImportSetLogger.OUTCOME values)";
+
+		this._outcome = {
+			outcome: "" + outcome,
+			reasonCode: gs.nil(reasonCode) ? null : ("" + reasonCode).replace(/\s+/g, "_"),
+			detail: gs.nil(detail) ? null : ("" + detail)
+		};
+	},
+
+	/**
+	 * @return {object} the outcome recorded for the row ({outcome, reasonCode, detail}) that has yet to be written, or null.
+	 */
+	getOutcome: function() {
+		return this._outcome;
+	},
+
 	/**
 	 * Log all contents in the log buffer to the parent Import Set of the Import Set Row that was used
-	 * to initialize this logger.
+	 * to initialize this logger (as well as to any appenders registered with this logger).
 	 */
 	logToImportSet: function() {
 
 		//Write log entry against the Import Set if any content has been logged.
-		var logContent = this.flush();
-		if (logContent.length > 0) {
+		var setAppender = this._createImportLogAppender(this.sourceImportSetSysId, null);
+		this._flush(this.getAppenders().concat([setAppender]));
+	},
+
+	/**
+	 * @param {boolean} enabled - if true, logToImportRow()/logToImportSet() write every WARN or higher statement as an
+	 *                            Import Log entry of its own (with the matching level), while DEBUG/INFO statements
+	 *                            stay batched together; if false (the default), everything is written as one entry.
+	 */
+	setSplitBySeverity: function(enabled) {
+		this._splitBySeverity = (enabled === true);
+	},
+
+	isSplitBySeverity: function() {
+		return this._splitBySeverity;
+	},
+
+	/**
+	 * @param {string} fileName - [optional] name of the attachment file (see xBufferedLogger.AttachmentAppender).
+	 * @param {number} minLength - [optional] only export content at least this many characters long (default 0).
+	 * @return {xBufferedLogger.AttachmentAppender} the appender, so its format and maximum size can be set.
+	 *
+	 * Exports the flushed logs as attachment(s) on the Import Set, leaving a pointer entry in the Import Log (see
+	 * xBufferedLogger.setAttachmentExport()).
+	 */
+	setImportSetAttachmentExport: function(fileName, minLength) {
+		var appender = new xBufferedLogger.AttachmentAppender("sys_import_set", this.sourceImportSetSysId, fileName);
+		this.setAttachmentExport(appender, minLength);
+		return appender;
+	},
+
+	/**
+	 * @param {object} level - the xBufferedLogger.LOG_LEVEL (or level name/value) at or above which the rule applies.
+	 * @param {string} policy - xImportSetLogger.POLICY.ERROR (marks the row as errored) or
+	 *                          xImportSetLogger.POLICY.IGNORE (ignores the row).
+	 * @param {string} comment - [optional] comment of the escalation (see getEscalation()); defaults to the first
+	 *                           statement logged at or above the level (or their count, if none is left in the buffer).
+	 *
+	 * Adds a rule that escalates the Import Set Row this logger was initialized with when any statement at or above the
+	 * level is logged (even if a rate limit or the overflow policy kept it out of the buffer), ex. addEscalationRule("fatal", xImportSetLogger.POLICY.ERROR).  Rules are evaluated on
+	 * logToImportRow(), in the order they were added; the first one that applies is used, unless the error threshold
+	 * applies as well with a stronger policy (POLICY.ERROR over POLICY.IGNORE).
+	 */
+	addEscalationRule: function(level, policy, comment) {
+		if (gs.nil(this.sourceRowSysId))
+			throw "xImportSetLogger.addEscalationRule: logger was not initialized against an Import Set Row, therefore escalation is not supported";
+		var ruleLevel = xBufferedLogger.toLevel(level);
+		if (ruleLevel == null)
+			throw "xImportSetLogger.addEscalationRule: Invalid log level '" + level + "' specified";
+
+		this._escalationRules.push({
+			level: ruleLevel,
+			policy: xImportSetLogger._getEscalationPolicy(policy, "addEscalationRule"),
+			comment: gs.nil(comment) ? null : ("" + comment)
+		});
+	},
+
+	clearEscalationRules: function() {
+		this._escalationRules = [];
+	},
+
+	/**
+	 * @param {number} maxErrors - the number of errors allowed in the Import Set, or null to remove the threshold.
+	 * @param {string} policy - [optional] how the rows are flagged once the threshold is exceeded:
+	 *                          xImportSetLogger.POLICY.IGNORE (the default) or xImportSetLogger.POLICY.ERROR.
+	 *
+	 * Sets the number of Error-level Import Log entries (written by any row of the Import Set) above which the rest of
+	 * the transform is aborted.  When logToImportRow() finds the threshold exceeded, an entry is written to the Import
+	 * Set, and from then on that row and every remaining row are flagged per policy (rows should be checked with
+	 * isTransformAborted() before processing them; runTransformScript() does so).  Aborting doesn't stop the
+	 * transform, which a row script can't do: the remaining rows still go through it, only flagged and not
+	 * processed.  Note that Import Log entries
+	 * contain all statements of a row, unless setSplitBySeverity(true) is used, in which case every ERROR or higher
+	 * statement is counted.  The count is read from the Import Log once per transaction and then kept up to date by
+	 * the loggers of the rows, so errors logged otherwise are only included when it is re-read, once the loggers' own
+	 * errors exceed the threshold.
+	 */
+	setErrorThreshold: function(maxErrors, policy) {
+		if (gs.nil(this.sourceRowSysId))
+			throw "xImportSetLogger.setErrorThreshold: logger was not initialized against an Import Set Row, therefore an error threshold is not supported";
+		if (maxErrors == null) {
+			this._errorThreshold = null;
+			return;
+		}
+		if (isNaN(parseInt(maxErrors, 10)) || parseInt(maxErrors, 10) < 0)
+			throw "xImportSetLogger.setErrorThreshold: parameter 'maxErrors' must be a number >= 0!";
+
+		this._errorThreshold = {
+			maxErrors: parseInt(maxErrors, 10),
+			policy: gs.nil(policy) ? xImportSetLogger.POLICY.IGNORE : xImportSetLogger._getEscalationPolicy(policy, "setErrorThreshold")
+		};
+	},
+
+	getErrorThreshold: function() {
+		return this._errorThreshold;
+	},
+
+	/**
+	 * @return {boolean} true if the transform of the Import Set was aborted because its error threshold was exceeded
+	 *                   (see setErrorThreshold()).
+	 */
+	isTransformAborted: function() {
+		var errorState = xImportSetLogger._getErrorState(this.sourceImportSetSysId);
+		if (errorState.aborted == null) {
 			var logRow = new GlideRecord("import_log");
+			logRow.addQuery("import_set", this.sourceImportSetSysId);
+			logRow.addQuery("message", "STARTSWITH", xImportSetLogger.ABORT_MARKER);
+			logRow.setLimit(1);
+			logRow.query();
+			errorState.aborted = logRow.hasNext();
+		}
+		return errorState.aborted;
+	},
+
+	/**
+	 * @return {object} the escalation of the row found by logToImportRow() ({policy, state, comment}), or null.  The
+	 *                  logger writes it to the row's Import Log, but doesn't update the row itself, since the transform
+	 *                  sets its state once the scripts have run: the state only takes effect when the Transform Map
+	 *                  script applies it ('error = true' for POLICY.ERROR, 'ignore = true' for POLICY.IGNORE), which
+	 *                  runTransformScript() does through its result.
+	 */
+	getEscalation: function() {
+		return this._escalation;
+	},
+
+	/**
+	 * Writes the row outcome as an Import Log entry in the format parsed by xImportSetLogger.parseOutcome(), replacing
+	 * the outcome entry already written for the row, if any.  Only the free-text detail is masked, and it comes last,
+	 * so masking can't change the fields the summary is aggregated from.
+	 */
+	_writeOutcome: function(outcome) {
+		var message = xImportSetLogger.OUTCOME_MARKER + " row=" + ((this.sourceRowNumber == null) ? "" : this.sourceRowNumber)
+			+ " outcome=" + outcome.outcome + ((outcome.reasonCode != null) ? (" reason=" + outcome.reasonCode) : "");
+		if (outcome.detail != null) {
+			var masker = this.getEffectiveMasker();
+			message += " | " + ((masker != null) ? this._maskText(masker, outcome.detail) : outcome.detail);
+		}
+
+		var logRow = new GlideRecord("import_log");
+		logRow.addQuery("import_set_row", this.sourceRowSysId);
+		logRow.addQuery("message", "STARTSWITH", xImportSetLogger.OUTCOME_MARKER);
+		logRow.setLimit(1);
+		logRow.query();
+		var exists = logRow.next();
+		if (!exists) {
 			logRow.initialize();
-			logRow.setValue("level", "");
 			logRow.setValue("import_set", this.sourceImportSetSysId);
-			logRow.setValue("message", logContent);
+			logRow.setValue("import_set_row", this.sourceRowSysId);
+		}
+		logRow.setValue("level", (outcome.outcome == xImportSetLogger.OUTCOME.ERROR)
+			? xImportSetLogger.ImportLogAppender.LEVEL.ERROR : xImportSetLogger.ImportLogAppender.LEVEL.INFO);
+		logRow.setValue("message", message);
+		if (exists)
+			logRow.update();
+		else
 			logRow.insert();
+	},
+
+	/**
+	 * Writes the escalation as an Import Log entry against the row (Error level for POLICY.ERROR, Warning for
+	 * POLICY.IGNORE), so it is recorded even if the script doesn't apply it.  Like row outcomes, these entries don't
+	 * count towards the error threshold.
+	 */
+	_writeEscalation: function(escalation) {
+		var logRow = new GlideRecord("import_log");
+		logRow.initialize();
+		logRow.setValue("level", (escalation.policy == xImportSetLogger.POLICY.ERROR)
+			? xImportSetLogger.ImportLogAppender.LEVEL.ERROR : xImportSetLogger.ImportLogAppender.LEVEL.WARN);
+		logRow.setValue("import_set", this.sourceImportSetSysId);
+		logRow.setValue("import_set_row", this.sourceRowSysId);
+		logRow.setValue("message", xImportSetLogger.ESCALATION_MARKER + " state=" + escalation.state + " | " + escalation.comment);
+		logRow.insert();
+	},
+
+	/**
+	 * @return {object} the escalation ({policy, state, comment}) of the first rule matched by the statements logged
+	 *                  since the last flush, or null.  Rules are matched against the summary (see getSummary()), so
+	 *                  statements that were suppressed, dropped, collapsed or flushed early still count; the default
+	 *                  comment is the first matching statement still in the buffer, or a count if there is none.
+	 */
+	_evaluateEscalationRules: function() {
+		var summary = this.getSummary();
+		if (summary.maxLevel == null)
+			return null;
+
+		for (var i = 0; i < this._escalationRules.length; i++) {
+			var rule = this._escalationRules[i];
+			if (summary.maxLevel.value < rule.level.value)
+				continue;
+			if (rule.comment != null)
+				return xImportSetLogger._createEscalation(rule.policy, rule.comment);
+
+			for (var j = 0; j < this.stmtQueue.length; j++) {
+				if (this.stmtQueue[j].level.value >= rule.level.value)
+					return xImportSetLogger._createEscalation(rule.policy, this.stmtQueue[j].message);
+			}
+			var count = 0;
+			for (var name in summary.counts) {
+				if (xBufferedLogger.toLevel(name).value >= rule.level.value)
+					count += summary.counts[name];
+			}
+			return xImportSetLogger._createEscalation(rule.policy, count + " statement" + ((count == 1) ? "" : "s")
+				+ " at or above level " + rule.level.name + " logged");
 		}
+		return null;
+	},
+
+	/**
+	 * @return {object} the escalation ({policy, state, comment}) of the error threshold if the transform is aborted
+	 *                  (writing the entry that aborts it if this row exceeded the threshold), or null.
+	 */
+	_evaluateErrorThreshold: function() {
+		if (this._errorThreshold == null)
+			return null;
+
+		var comment = "Transform aborted: more than " + this._errorThreshold.maxErrors + " errors were logged in the Import Set";
+		if (this.isTransformAborted())
+			return xImportSetLogger._createEscalation(this._errorThreshold.policy, comment);
+
+		//The running count only includes the errors written by the loggers, so it is re-read once it exceeds the threshold.
+		var errorState = xImportSetLogger._getErrorState(this.sourceImportSetSysId);
+		if (errorState.errorCount == null || errorState.errorCount > this._errorThreshold.maxErrors)
+			errorState.errorCount = xImportSetLogger._countErrors(this.sourceImportSetSysId);
+		var count = errorState.errorCount;
+		if (count <= this._errorThreshold.maxErrors)
+			return null;
+
+		var logRow = new GlideRecord("import_log");
+		logRow.initialize();
+		logRow.setValue("level", xImportSetLogger.ImportLogAppender.LEVEL.ERROR);
+		logRow.setValue("import_set", this.sourceImportSetSysId);
+		logRow.setValue("message", xImportSetLogger.ABORT_MARKER + " More than " + this._errorThreshold.maxErrors
+			+ " errors were logged in the Import Set (" + count + " as of row " + ((this.sourceRowNumber == null) ? this.sourceRowSysId : this.sourceRowNumber)
+			+ "); this row and the remaining rows are flagged as '" + xImportSetLogger._POLICY_ROW_STATES[this._errorThreshold.policy] + "'.");
+		logRow.insert();
+		errorState.aborted = true;
+		return xImportSetLogger._createEscalation(this._errorThreshold.policy, comment);
+	},
+
+	_createImportLogAppender: function(importSetSysId, importSetRowSysId) {
+		var appender = new xImportSetLogger.ImportLogAppender(importSetSysId, importSetRowSysId);
+		appender.setSplitBySeverity(this._splitBySeverity);
+		return appender;
 	},
 
     type: 'xImportSetLogger'
 });
+
+
+/**
+ * This enum defines how runTransformScript() flags the row when its policy is triggered.
+ */
+xImportSetLogger.POLICY = {};
+xImportSetLogger.POLICY.NONE = "none";       //don't flag the row.
+xImportSetLogger.POLICY.IGNORE = "ignore";   //skip the row ('ignore = true').
+xImportSetLogger.POLICY.ERROR = "error";     //mark the row as errored ('error = true').
+
+/**
+ * @param {GlideRecord|string} source - the 'source' of the Transform Map script, or anything else the constructor
+ *                                      accepts (ex. 'import_set' in an onComplete script).
+ * @param {GlideRecord} map - [optional] the 'map' of the Transform Map script.
+ * @param {GlideRecord} target - [optional] the 'target' of the Transform Map script.
+ * @param {function} callback - the body of the script, called as callback(logger, source, map, target); its return
+ *                              value is returned as 'answer' (ex. for field map scripts).
+ * @param {object} options - [optional] {
+ *                               name:            name of the script used in the log, ex. "onBefore script"
+ *                                                (default "transform script").
+ *                               level:           log level, or the default level if 'levelProperty' is set.
+ *                               levelProperty:   system property to read the log level from (see
+ *                                                setLogLevelBySysProperty()).
+ *                               splitBySeverity: see setSplitBySeverity().
+ *                               onException:     xImportSetLogger.POLICY applied if the callback throws (default IGNORE).
+ *                               onErrorLogged:   xImportSetLogger.POLICY applied if the callback logs an ERROR or higher
+ *                                                statement (default NONE).
+ *                               importSet:       the Import Set being transformed, if 'source' is a Transform Map
+ *                                                (ex. 'import_set' in an onStart script).
+ *                               escalationRules: [{level, policy, comment}] added to the logger of a row (see
+ *                                                addEscalationRule()).
+ *                               errorThreshold:  {maxErrors, policy} set on the logger of a row (see setErrorThreshold());
+ *                                                once the transform is aborted, the callback is no longer called.
+ *                           }
+ * @return {object} the outcome of the script, which the caller applies to the Transform Map script variables:
+ *
+ *     answer       {*}       the return value of the callback.
+ *     ignore       {boolean} true if the row should be ignored.
+ *     error        {boolean} true if the row should be marked as errored.
+ *     errorMessage {string}  the reason the row was flagged, or null.
+ *     exception    {*}       the exception thrown by the callback, or null.
+ *     logger       {xImportSetLogger} the logger used (already written to the Import Log), or null if it couldn't be
+ *                                      created (ex. invalid source), in which case the exception is written to the
+ *                                      system log.
+ *
+ * Runs the callback with a new logger for the source, logging any unhandled exception instead of letting it stop the
+ * transform of other rows, then writes the buffered logs to the Import Set Row (or the Import Set, if the logger is
+ * attached to one).  Escalations of the row (see getEscalation()) are applied to the result as well.  If writing the
+ * logs fails, the failure goes to the system log and the result is still returned.
+ */
+xImportSetLogger.runTransformScript = function(source, map, target, callback, options) {
+	if (typeof callback != "function")
+		throw "xImportSetLogger.runTransformScript: parameter 'callback' must be a function!";
+	options = options || {};
+	var onException = xImportSetLogger._getPolicy(options.onException, xImportSetLogger.POLICY.IGNORE);
+	var onErrorLogged = xImportSetLogger._getPolicy(options.onErrorLogged, xImportSetLogger.POLICY.NONE);
+	var scriptName = (options.name || "transform script") + (gs.nil(map) ? "" : (" of Transform Map '" + map.name + "'"));
+
+	var log = null;
+	var result = {answer: undefined, ignore: false, error: false, errorMessage: null, exception: null, logger: null};
+	try {
+		log = new xImportSetLogger(source, options.importSet);
+		result.logger = log;
+		xImportSetLogger._configureTransformLogger(log, options);
+
+		//the row is flagged by the error threshold on logToImportRow().
+		if (log.getErrorThreshold() != null && log.isTransformAborted())
+			return result;
+
+		if (log.isDebugLevelEnabled())
+			log.debug("START " + scriptName);
+		result.answer = callback(log, source, map, target);
+
+		var maxLevel = log.getSummary().maxLevel;
+		if (onErrorLogged != xImportSetLogger.POLICY.NONE && maxLevel != null && maxLevel.value >= xBufferedLogger.LOG_LEVEL.ERROR.value)
+			xImportSetLogger._applyPolicy(result, onErrorLogged, "Errors were logged in " + scriptName);
+
+	//prevent any unhandled exceptions from stopping the transform of other rows
+	} catch (ex) {
+		var message = "UNHANDLED EXCEPTION in " + scriptName + ": '" + ex + "'";
+		result.exception = ex;
+		xImportSetLogger._applyPolicy(result, onException, message);
+
+		//without a logger (ex. invalid source), there is no Import Log to write to.
+		if (log == null)
+			gs.log(message + xImportSetLogger._POLICY_ACTIONS[onException], "xImportSetLogger");
+		else
+			log.error(message + xImportSetLogger._POLICY_ACTIONS[onException], ex);
+
+	//Write all logs to the import log of the current import set row (or import set).
+	//Writing the logs can fail as well (ex. on insert), which mustn't stop the transform of other rows either.
+	} finally {
+		if (log != null) {
+			try {
+				if (log.isDebugLevelEnabled())
+					log.debug("END " + scriptName);
+				if (log.sourceRowSysId != null)
+					log.logToImportRow();
+				else
+					log.logToImportSet();
+
+				var escalation = log.getEscalation();
+				if (escalation != null && !result.ignore && !result.error)
+					xImportSetLogger._applyPolicy(result, escalation.policy, escalation.comment);
+			} catch (writeEx) {
+				gs.log("xImportSetLogger.runTransformScript: writing the Import Log of " + scriptName + " failed: " + writeEx, "xImportSetLogger");
+			}
+		}
+	}
+	return result;
+};
+
+/**
+ * Applies the runTransformScript() options to its logger.  An invalid log level configuration falls back to the ERROR
+ * level instead of failing the row, since the script itself can still run.
+ */
+xImportSetLogger._configureTransformLogger = function(log, options) {
+	try {
+		if (!gs.nil(options.levelProperty))
+			log.setLogLevelBySysProperty(options.levelProperty, options.level);
+		else if (!gs.nil(options.level))
+			log.setLogLevel(options.level);
+	} catch (ex) {
+		log.setLogLevel(xBufferedLogger.LOG_LEVEL.ERROR.value);
+		gs.log("xImportSetLogger.runTransformScript: " + ex + "; using level ERROR instead.", "xImportSetLogger");
+	}
+	log.setSplitBySeverity(options.splitBySeverity === true);
+	if (log.sourceRowSysId != null) {
+		var rules = options.escalationRules || [];
+		for (var i = 0; i < rules.length; i++)
+			log.addEscalationRule(rules[i].level, rules[i].policy, rules[i].comment);
+		if (options.errorThreshold)
+			log.setErrorThreshold(options.errorThreshold.maxErrors, options.errorThreshold.policy);
+	}
+};
+
+//Suffix of the unhandled exception message per policy.
+xImportSetLogger._POLICY_ACTIONS = {
+	"none": ".",
+	"ignore": ". Aborting processing of this row.",
+	"error": ". Marking this row as errored."
+};
+
+xImportSetLogger._getPolicy = function(policy, defaultPolicy) {
+	if (gs.nil(policy))
+		return defaultPolicy;
+	for (var key in xImportSetLogger.POLICY) {
+		if (xImportSetLogger.POLICY[key] == policy)
+			return xImportSetLogger.POLICY[key];
+	}
+	throw "xImportSetLogger.runTransformScript: Invalid policy '" + policy + "' specified (must be one of the xImportSetLogger.POLICY values)";
+};
+
+//sys_import_state the transform sets on the row flagged by an escalation, per policy.
+xImportSetLogger._POLICY_ROW_STATES = {
+	"ignore": "ignored",
+	"error": "error"
+};
+
+//Prefix of the Import Log message written against a row when it is escalated (see getEscalation()).
+xImportSetLogger.ESCALATION_MARKER = "[row escalated]";
+
+//Prefix of the Import Log message written when the error threshold aborts the transform of an Import Set.
+xImportSetLogger.ABORT_MARKER = "[transform aborted]";
+
+xImportSetLogger._getEscalationPolicy = function(policy, methodName) {
+	if (policy == xImportSetLogger.POLICY.ERROR || policy == xImportSetLogger.POLICY.IGNORE)
+		return "" + policy;
+	throw "xImportSetLogger." + methodName + ": Invalid policy '" + policy + "' specified (must be xImportSetLogger.POLICY.ERROR or xImportSetLogger.POLICY.IGNORE)";
+};
+
+xImportSetLogger._createEscalation = function(policy, comment) {
+	return {policy: policy, state: xImportSetLogger._POLICY_ROW_STATES[policy], comment: comment};
+};
+
+/**
+ * @param {string} importSetSysId - sys_id of the Import Set.
+ * @return {object} the error threshold state of the Import Set ({aborted, errorCount}, each null until read from the
+ *                  Import Log), shared by the loggers of its rows for the rest of the transaction.
+ */
+xImportSetLogger._getErrorState = function(importSetSysId) {
+	if (!xImportSetLogger._errorStates)
+		xImportSetLogger._errorStates = {};
+	if (!xImportSetLogger._errorStates[importSetSysId])
+		xImportSetLogger._errorStates[importSetSysId] = {aborted: null, errorCount: null};
+	return xImportSetLogger._errorStates[importSetSysId];
+};
+
+/**
+ * @param {string} importSetSysId - sys_id of the Import Set.
+ * @return {number} the number of Error-level Import Log entries written against the rows of the Import Set (not
+ *                  counting row outcomes and escalations).
+ */
+xImportSetLogger._countErrors = function(importSetSysId) {
+	var errors = new GlideAggregate("import_log");
+	errors.addQuery("import_set_row.sys_import_set", importSetSysId);
+	errors.addQuery("level", xImportSetLogger.ImportLogAppender.LEVEL.ERROR);
+	errors.addQuery("message", "DOES NOT CONTAIN", xImportSetLogger.OUTCOME_MARKER);
+	errors.addQuery("message", "DOES NOT CONTAIN", xImportSetLogger.ESCALATION_MARKER);
+	errors.addAggregate("COUNT");
+	errors.query();
+	return errors.next() ? parseInt(errors.getAggregate("COUNT"), 10) : 0;
+};
+
+/**
+ * @return {object} whichever of the escalations has the stronger policy (POLICY.ERROR over POLICY.IGNORE), the first
+ *                  one if they are equal, or null if both are null.
+ */
+xImportSetLogger._getStrongerEscalation = function(escalation, otherEscalation) {
+	if (escalation == null)
+		return otherEscalation;
+	if (otherEscalation != null && escalation.policy != xImportSetLogger.POLICY.ERROR && otherEscalation.policy == xImportSetLogger.POLICY.ERROR)
+		return otherEscalation;
+	return escalation;
+};
+
+xImportSetLogger._applyPolicy = function(result, policy, message) {
+	if (policy == xImportSetLogger.POLICY.NONE)
+		return;
+	if (policy == xImportSetLogger.POLICY.IGNORE)
+		result.ignore = true;
+	else
+		result.error = true;
+	result.errorMessage = message;
+};
+
+/**
+ * @return {GlideRecord} the record identified by the 'source' and 'tableName' parameters of the constructor.
+ */
+xImportSetLogger._getSourceRecord = function(source, tableName) {
+	if (source instanceof GlideRecord) {
+		if (!source.isValidRecord())
+			throw "xImportSetLogger: Parameter 'source' is not a valid record!";
+		return source;
+	}
+
+	var sourceRecord;
+	source = "" + source;
+	if (!gs.nil(tableName)) {
+		sourceRecord = new GlideRecord(tableName);
+		if (!sourceRecord.isValid())
+			throw "xImportSetLogger: Invalid table name '" + tableName + "' specified!";
+		if (!sourceRecord.get(source))
+			throw "xImportSetLogger: No record found in table '" + tableName + "' with sys_id '" + source + "'";
+		return sourceRecord;
+	}
+
+	//without a table name, it has to be an Import Set number or sys_id.
+	sourceRecord = new GlideRecord("sys_import_set");
+	if (sourceRecord.get("number", source) || sourceRecord.get(source))
+		return sourceRecord;
+	throw "xImportSetLogger: No Import Set found with number or sys_id '" + source + "' (a table name is required for other records)";
+};
+
+/**
+ * @return {Array} the names of the table and all the tables it extends.
+ */
+xImportSetLogger._getTableHierarchy = function(tableName) {
+	var tables = new GlideTableHierarchy(tableName).getTables();
+	var names = [];
+	for (var i = 0; i < tables.length; i++)
+		names.push("" + tables[i]);
+	return names;
+};
+
+/**
+ * @param {GlideRecord} map - the Transform Map.
+ * @param {GlideRecord|string} importSet - the Import Set being transformed with the map, or its number or sys_id.
+ * @return {string} sys_id of the Import Set, after checking that it can be transformed with the map.
+ */
+xImportSetLogger._getImportSetForMap = function(map, importSet) {
+	var importSetRecord = xImportSetLogger._getSourceRecord(importSet);
+	if (xImportSetLogger._getTableHierarchy(importSetRecord.getTableName()).indexOf("sys_import_set") < 0)
+		throw "xImportSetLogger: The Import Set of Transform Map '" + map.getDisplayValue() + "' is not an Import Set record (table '" + importSetRecord.getTableName() + "')!";
+	if (("" + importSetRecord.table_name) != ("" + map.source_table))
+		throw "xImportSetLogger: Import Set '" + importSetRecord.getDisplayValue() + "' (table '" + importSetRecord.table_name + "') is not of the source table of Transform Map '" + map.getDisplayValue() + "' ('" + map.source_table + "')";
+	return importSetRecord.getUniqueValue();
+};
+
+/**
+ * @return {string} sys_id of the Import Set being transformed with the Transform Map, which must be the only Import
+ *                  Set of its source table in the Processing state; concurrent or back-to-back imports of the same
+ *                  table would otherwise attach the logs to the wrong Import Set.
+ */
+xImportSetLogger._findImportSetForMap = function(map) {
+	var importSet = new GlideRecord("sys_import_set");
+	importSet.addQuery("table_name", "" + map.source_table);
+	importSet.addQuery("state", "processing");
+	importSet.query();
+	if (importSet.getRowCount() == 1 && importSet.next())
+		return importSet.getUniqueValue();
+
+	var problem = (importSet.getRowCount() == 0) ? "No Import Set is" : (importSet.getRowCount() + " Import Sets are");
+	throw "xImportSetLogger: " + problem + " being processed for Transform Map '" + map.getDisplayValue() + "' (source table '" + map.source_table + "'); pass the Import Set as well, ex. new xImportSetLogger(map, import_set)";
+};
+
+
+/**
+ * This enum defines the row outcomes that can be recorded with recordOutcome().
+ */
+xImportSetLogger.OUTCOME = {};
+xImportSetLogger.OUTCOME.INSERTED = "inserted";
+xImportSetLogger.OUTCOME.UPDATED = "updated";
+xImportSetLogger.OUTCOME.IGNORED = "ignored";
+xImportSetLogger.OUTCOME.SKIPPED = "skipped";
+xImportSetLogger.OUTCOME.ERROR = "error";
+
+//Prefix of the Import Log messages row outcomes are written with.
+xImportSetLogger.OUTCOME_MARKER = "[row outcome]";
+
+/**
+ * @param {string} message - an Import Log message.
+ * @return {object} the row outcome written in the message ({rowNumber, outcome, reasonCode, detail}), or null if
+ *                  the message isn't a row outcome.
+ */
+xImportSetLogger.parseOutcome = function(message) {
+	message = "" + message;
+	if (message.indexOf(xImportSetLogger.OUTCOME_MARKER) != 0)
+		return null;
+
+	var match = /^ row=(\d*) outcome=(\S+)(?: reason=(\S+))?(?: \| ([\s\S]*))?$/.exec(message.substring(xImportSetLogger.OUTCOME_MARKER.length));
+	if (!match)
+		return null;
+	return {
+		rowNumber: (match[1].length > 0) ? parseInt(match[1], 10) : null,
+		outcome: match[2],
+		reasonCode: match[3] || null,
+		detail: (match[4] === undefined) ? null : match[4]
+	};
+};
+
+/**
+ * @param {GlideRecord|string} importSet - the Import Set (ex. the 'import_set' variable of an onComplete script), or
+ *                                         its sys_id.
+ * @param {object} options - [optional] {topReasons: number of error reasons to report (default 5),
+ *                                       sampleSize: number of sample row numbers per outcome/reason (default 5)}.
+ * @return {object} the aggregated row outcomes recorded for the Import Set (see recordOutcome()); each row is
+ *                  counted once, with its most recently written outcome:
+ *
+ *     importSetSysId {string} sys_id of the Import Set.
+ *     total          {number} number of rows with a recorded outcome.
+ *     outcomes       {object} {count, sampleRows} per outcome, for every xImportSetLogger.OUTCOME value.
+ *     errorReasons   {Array}  the most frequent error reasons, most frequent first: [{reasonCode, count, sampleRows}].
+ */
+xImportSetLogger.getImportSetSummary = function(importSet, options) {
+	if (gs.nil(importSet))
+		throw "xImportSetLogger.getImportSetSummary: parameter 'importSet' is required!";
+	options = options || {};
+	var topReasons = gs.nil(options.topReasons) ? 5 : parseInt(options.topReasons, 10);
+	var sampleSize = gs.nil(options.sampleSize) ? 5 : parseInt(options.sampleSize, 10);
+	var importSetSysId = (importSet instanceof GlideRecord) ? importSet.getUniqueValue() : ("" + importSet);
+
+	var summary = {importSetSysId: importSetSysId, total: 0, outcomes: {}, errorReasons: []};
+	for (var key in xImportSetLogger.OUTCOME)
+		summary.outcomes[xImportSetLogger.OUTCOME[key]] = {count: 0, sampleRows: []};
+
+	//Keep the latest outcome of each row (by Import Set Row, or row number for entries without one).
+	var latest = {};
+	var rowKeys = [];
+	var logRow = new GlideRecord("import_log");
+	logRow.addQuery("import_set", importSetSysId);
+	logRow.addQuery("message", "STARTSWITH", xImportSetLogger.OUTCOME_MARKER);
+	logRow.orderBy("sys_updated_on");
+	logRow.query();
+	while (logRow.next()) {
+		var parsedOutcome = xImportSetLogger.parseOutcome(logRow.getValue("message"));
+		if (parsedOutcome == null)
+			continue;
+
+		var rowKey = logRow.getValue("import_set_row")
+			|| ((parsedOutcome.rowNumber != null) ? ("row " + parsedOutcome.rowNumber) : logRow.getUniqueValue());
+		if (!latest.hasOwnProperty(rowKey))
+			rowKeys.push(rowKey);
+		latest[rowKey] = parsedOutcome;
+	}
+
+	var reasons = {};
+	for (var r = 0; r < rowKeys.length; r++) {
+		var parsed = latest[rowKeys[r]];
+		summary.total++;
+		if (!summary.outcomes[parsed.outcome])
+			summary.outcomes[parsed.outcome] = {count: 0, sampleRows: []};
+		xImportSetLogger._addToTally(summary.outcomes[parsed.outcome], parsed.rowNumber, sampleSize);
+
+		if (parsed.outcome == xImportSetLogger.OUTCOME.ERROR) {
+			var reasonCode = parsed.reasonCode || "(none)";
+			if (!reasons[reasonCode])
+				reasons[reasonCode] = {reasonCode: reasonCode, count: 0, sampleRows: []};
+			xImportSetLogger._addToTally(reasons[reasonCode], parsed.rowNumber, sampleSize);
+		}
+	}
+
+	for (var reason in reasons)
+		summary.errorReasons.push(reasons[reason]);
+	summary.errorReasons.sort(function(a, b) {
+		return b.count - a.count;
+	});
+	summary.errorReasons = summary.errorReasons.slice(0, topReasons);
+	return summary;
+};
+
+/**
+ * @param {GlideRecord|string} importSet - the Import Set (ex. the 'import_set' variable of an onComplete script), or
+ *                                         its sys_id.
+ * @param {object} options - [optional] see xImportSetLogger.getImportSetSummary().
+ * @return {object} the summary that was written (see xImportSetLogger.getImportSetSummary()).
+ *
+ * Aggregates the row outcomes recorded for the Import Set and writes them as one Import Log entry against it, ex.:
+ *
+ *     Row outcome summary (1,250 rows):
+ *         inserted: 1,100 (ex. rows 1, 2, 3, 4, 5)
+ *         updated: 120 (ex. rows 8, 9, 12, 14, 15)
+ *         ignored: 0
+ *         skipped: 10 (ex. rows 6, 22, 23, 31, 40)
+ *         error: 20 (ex. rows 7, 19, 33, 41, 52)
+ *     Top error reasons:
+ *         MISSING_MANAGER: 15 (ex. rows 7, 19, 33, 41, 52)
+ *         INVALID_DATE: 5 (ex. rows 60, 61, 88, 90, 104)
+ *
+ * The entry's level is Error if any row errored, Info otherwise.
+ */
+xImportSetLogger.writeImportSetSummary = function(importSet, options) {
+	var summary = xImportSetLogger.getImportSetSummary(importSet, options);
+	var formatNumber = xBufferedLogger.Layout.formatNumber;
+
+	var lines = ["Row outcome summary (" + formatNumber(summary.total) + " rows):"];
+	for (var outcome in summary.outcomes)
+		lines.push("    " + outcome + ": " + xImportSetLogger._formatTally(summary.outcomes[outcome]));
+	if (summary.errorReasons.length > 0) {
+		lines.push("Top error reasons:");
+		for (var i = 0; i < summary.errorReasons.length; i++)
+			lines.push("    " + summary.errorReasons[i].reasonCode + ": " + xImportSetLogger._formatTally(summary.errorReasons[i]));
+	}
+
+	var errors = summary.outcomes[xImportSetLogger.OUTCOME.ERROR].count;
+	var logRow = new GlideRecord("import_log");
+	logRow.initialize();
+	logRow.setValue("level", (errors > 0) ? xImportSetLogger.ImportLogAppender.LEVEL.ERROR : xImportSetLogger.ImportLogAppender.LEVEL.INFO);
+	logRow.setValue("import_set", summary.importSetSysId);
+	logRow.setValue("message", lines.join("\n"));
+	logRow.insert();
+	return summary;
+};
+
+xImportSetLogger._addToTally = function(tally, rowNumber, sampleSize) {
+	tally.count++;
+	if (rowNumber != null && tally.sampleRows.length < sampleSize)
+		tally.sampleRows.push(rowNumber);
+};
+
+xImportSetLogger._formatTally = function(tally) {
+	var sampleRows = tally.sampleRows.slice().sort(function(a, b) {
+		return a - b;
+	});
+	return xBufferedLogger.Layout.formatNumber(tally.count)
+		+ ((sampleRows.length > 0) ? (" (ex. row" + ((sampleRows.length > 1) ? "s " : " ") + sampleRows.join(", ") + ")") : "");
+};
+
+
+/**
+ * Appender that writes flushed content as an Import Log (import_log) entry against an Import Set or an Import Set Row.
+ * The entry's level is set from the most severe statement written (see xImportSetLogger.ImportLogAppender.LEVEL).
+ */
+xImportSetLogger.ImportLogAppender = Class.create();
+xImportSetLogger.ImportLogAppender.prototype = Object.extendsObject(xBufferedLogger.Appender, {
+
+	importSetSysId: null,
+	importSetRowSysId: null,
+
+	//if true, every WARN or higher statement is written as an entry of its own.
+	_splitBySeverity: false,
+
+	//number of Error-level entries written (see getErrorEntryCount()).
+	_errorEntryCount: 0,
+
+	/**
+	 * @param {string} importSetSysId - sys_id of the Import Set to log against (nil if logging against a row).
+	 * @param {string} importSetRowSysId - sys_id of the Import Set Row to log against (nil if logging against a set).
+	 * @param {string} name - [optional] name of the appender.
+	 */
+	initialize: function(importSetSysId, importSetRowSysId, name) {
+		if (gs.nil(importSetSysId) && gs.nil(importSetRowSysId))
+			throw "xImportSetLogger.ImportLogAppender: one of 'importSetSysId' or 'importSetRowSysId' is required!";
+
+		this.importSetSysId = gs.nil(importSetSysId) ? null : ("" + importSetSysId);
+		this.importSetRowSysId = gs.nil(importSetRowSysId) ? null : ("" + importSetRowSysId);
+		xBufferedLogger.Appender.prototype.initialize.call(this, name);
+	},
+
+	/**
+	 * Writes the entries as a single Import Log entry; or if splitting by severity, writes each WARN or higher entry
+	 * on its own, and each run of DEBUG/INFO entries in between as one batched entry (preserving their order).
+	 */
+	doAppend: function(entries, logger) {
+		if (!this._splitBySeverity) {
+			xBufferedLogger.Appender.prototype.doAppend.call(this, entries, logger);
+			return;
+		}
+
+		entries = this.filter(entries);
+		var batch = [];
+		for (var i = 0; i < entries.length; i++) {
+			if (entries[i].level.value < xBufferedLogger.LOG_LEVEL.WARN.value) {
+				batch.push(entries[i]);
+				continue;
+			}
+			if (batch.length > 0)
+				this.write(this.format(batch, logger), batch, logger);
+			batch = [];
+			this.write(this.format([entries[i]], logger), [entries[i]], logger);
+		}
+		if (batch.length > 0)
+			this.write(this.format(batch, logger), batch, logger);
+	},
+
+	write: function(content, entries) {
+		if (content.length == 0)
+			return;
+
+		var level = xImportSetLogger.ImportLogAppender.getImportLogLevel(entries || []);
+		if (level == xImportSetLogger.ImportLogAppender.LEVEL.ERROR)
+			this._errorEntryCount++;
+
+		var logRow = new GlideRecord("import_log");
+		logRow.initialize();
+		logRow.setValue("level", level);
+		if (!gs.nil(this.importSetSysId))
+			logRow.setValue("import_set", this.importSetSysId);
+		if (!gs.nil(this.importSetRowSysId))
+			logRow.setValue("import_set_row", this.importSetRowSysId);
+		logRow.setValue("message", content);
+		logRow.insert();
+	},
+
+	/**
+	 * @param {boolean} enabled - if true, every WARN or higher statement is written as an entry of its own.
+	 */
+	setSplitBySeverity: function(enabled) {
+		this._splitBySeverity = (enabled === true);
+	},
+
+	isSplitBySeverity: function() {
+		return this._splitBySeverity;
+	},
+
+	/**
+	 * @return {number} the number of Error-level Import Log entries written by this appender.
+	 */
+	getErrorEntryCount: function() {
+		return this._errorEntryCount;
+	},
+
+	type: 'xImportSetLogger.ImportLogAppender'
+});
+
+//Values of the import_log table's level choice list.
+xImportSetLogger.ImportLogAppender.LEVEL = {};
+xImportSetLogger.ImportLogAppender.LEVEL.INFO = "0";
+xImportSetLogger.ImportLogAppender.LEVEL.WARN = "1";
+xImportSetLogger.ImportLogAppender.LEVEL.ERROR = "2";
+
+/**
+ * @param {Array} entries - the log entries being written.
+ * @return {string} the import_log level matching the most severe of the entries (INFO if there are none).
+ */
+xImportSetLogger.ImportLogAppender.getImportLogLevel = function(entries) {
+	var maxValue = null;
+	for (var i = 0; i < entries.length; i++) {
+		if (maxValue == null || entries[i].level.value > maxValue)
+			maxValue = entries[i].level.value;
+	}
+
+	if (maxValue != null && maxValue >= xBufferedLogger.LOG_LEVEL.ERROR.value)
+		return xImportSetLogger.ImportLogAppender.LEVEL.ERROR;
+	if (maxValue != null && maxValue >= xBufferedLogger.LOG_LEVEL.WARN.value)
+		return xImportSetLogger.ImportLogAppender.LEVEL.WARN;
+	return xImportSetLogger.ImportLogAppender.LEVEL.INFO;
+};
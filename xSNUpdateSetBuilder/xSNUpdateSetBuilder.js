@@ -20,6 +20,18 @@
 * called.  This allows for iterative development and testing, and only writing an update set once you're confident
 * you've captured all the necessary items.
 *
+* To review what would be written before touching any update set, getManifest() returns every captured object (table,
+* sys_id, display name, scope and the capture method that added it), and preview() renders it as text, JSON or CSV.
+*
+* resolveDependencies() inspects the captured objects and pulls in what they reference (roles required by ACLs and
+* menus/modules, script includes and events referenced in scripts, custom tables targeted by reference fields), up to
+* a configurable depth, reporting everything it added and why (see getDependencyReport()).  Out-of-box records are
+* skipped unless explicitly included.
+*
+* captureNotification() captures a Notification together with its email template, the email scripts referenced via
+* ${mail_script:name}, the registration of the event firing it and, on request, the users' subscriptions to it.
+* Out-of-box templates, categories, email scripts and events are skipped unless explicitly included.
+*
 * A typical use-case will look something like this:
 *
 * //1. Create new builder object.
@@ -32,13 +44,15 @@
 * .
 * .
 * .
-* //3. Finally, call writeUpdateSet() to write all captured objects to an update set.
+* //3. Optionally, review the captured objects.
+* gs.print(util.preview());
+*
+* //4. Finally, call writeUpdateSet() to write all captured objects to an update set.
 * util.writeUpdateSet("My New Update Set");
 *
-* Current object types not supported (as of 1.0.0)
+* Current object types not supported (as of 1.3.0)
 * ------------------------------------------------
 *
-*  * Notifications
 *  * Workflows
 *  * Anything related to Mobile (including mobile menus)
 *  * Anything related to Service Portal
@@ -75,6 +89,8 @@ xUpdateSetBuilder.prototype = {
 	_verbose: false,  //flag on whether to output verbose logging during operations.
 	_capturedObjectMap: null,  //map of all captured objects to be added to update set.
 	_capturedObjectCount: null,  //count of captured objects
+	_dependencyReport: null,  //entries reported by resolveDependencies() (see getDependencyReport()).
+	_capturePathStack: null,  //capture paths of the capture functions currently calling another one (see _callCapture()).
 
 	/**
 	* @param isVerbose (boolean) - if true, certain operations will generate additional logging; nil otherwise.
@@ -83,6 +99,8 @@ xUpdateSetBuilder.prototype = {
 		this._verbose = (true === isVerbose);
 		this._capturedObjectMap = {};
 		this._capturedObjectCount = 0;
+		this._dependencyReport = [];
+		this._capturePathStack = [];
 		this._um = new GlideUpdateManager2();
     },
 
@@ -143,7 +161,7 @@ xUpdateSetBuilder.prototype = {
 			//Write all captured objects to Update Set
 			gs.log("writeUpdateSet: Writing captured objects to update set\n");
 			for (var sys_id in this._capturedObjectMap) {
-				var tblName = this._capturedObjectMap[sys_id];
+				var tblName = this._capturedObjectMap[sys_id].table;
 				var gr = new GlideRecord(tblName);
 				if (gr.get("" + sys_id))
 					this._um.saveRecord(gr);
@@ -188,13 +206,16 @@ xUpdateSetBuilder.prototype = {
 	* 10. Data Policies (sys_data_policy2, sys_data_policy_rule)
 	* 11. Table Styles (sys_ui_style)
 	* 12. View Rules (sysrule_view)
+	* 13. [optional] Notifications and their related objects, without subscriptions (see captureNotification())
 	*
 	* @param tblName (string) name of the table to capture to the update set.
+	* @param includeNotifications (boolean) [optional] if true, the table's Notifications are captured as well.
 	*/
-	captureTableWithRelatedObjects: function(tblName) {
+	captureTableWithRelatedObjects: function(tblName, includeNotifications) {
 		if (JSUtil.nil(tblName))
 			throw "xUpdateSetBuilder.captureTableWithRelatedObjects: parameter 'tblName' is nil!";
 		tblName = "" + tblName;  //ensure string
+		var path = this._getCapturePath("captureTableWithRelatedObjects");
 
 		//Ensure table exists
 		var tblGR = new GlideRecord(xUpdateSetBuilder._TABLES.SYS_DB_OBJECT);
@@ -203,50 +224,50 @@ xUpdateSetBuilder.prototype = {
 				+ tblName + "' found!";
 
 		//Save table record;
-		this._recordObject(tblGR);
+		this._recordObject(tblGR, path);
 
 		//Save the "Collection" dictionary record for this table.
 		var colDict = new GlideRecord(xUpdateSetBuilder._TABLES.SYS_DICTIONARY);
 		colDict.addQuery("name", tblName);
 		colDict.addNullQuery("element");
-		this._captureObjectsFromGRQuery(colDict);
+		this._captureObjectsFromGRQuery(colDict, path);
 
 		//Capture Number fields (Number Maintenance) if applicable
-		this.captureTableNumber(tblName);
+		this._callCapture(path, "captureTableNumber", [tblName]);
 
 		//Capture table level ACL's for this table
-		this.captureACLsForTable(tblName);
+		this._callCapture(path, "captureACLsForTable", [tblName]);
 
 		//Capture Client scripts
 		var clScript = new GlideRecord(xUpdateSetBuilder._TABLES.SYS_SCRIPT_CLIENT);
 		clScript.addQuery("table", tblName);
-		this._captureObjectsFromGRQuery(clScript);
+		this._captureObjectsFromGRQuery(clScript, path);
 
 		//Capture all business rules on the table
 		var br = new GlideRecord(xUpdateSetBuilder._TABLES.SYS_SCRIPT);
 		br.addQuery("collection", tblName);
-		this._captureObjectsFromGRQuery(br);
+		this._captureObjectsFromGRQuery(br, path);
 
 		//Capture UI Actions
 		var ua = new GlideRecord(xUpdateSetBuilder._TABLES.UI_ACTION);
 		ua.addQuery("table", tblName);
-		this._captureObjectsFromGRQuery(ua);
+		this._captureObjectsFromGRQuery(ua, path);
 
 		//Capture UI Polices
-		this.captureUIPolicesForTable(tblName);
+		this._callCapture(path, "captureUIPolicesForTable", [tblName]);
 
 		//Capture Data Polices
-		this.captureDataPolicesForTable(tblName);
+		this._callCapture(path, "captureDataPolicesForTable", [tblName]);
 
 		//Capture table styles
 		var uis = new GlideRecord(xUpdateSetBuilder._TABLES.UI_STYLE);
 		uis.addQuery("name", tblName);
-		this._captureObjectsFromGRQuery(uis);
+		this._captureObjectsFromGRQuery(uis, path);
 
 		//Capture View Rules
 		var vr = new GlideRecord(xUpdateSetBuilder._TABLES.TABLE_VIEW_RULE);
 		vr.addQuery("table", tblName);
-		this._captureObjectsFromGRQuery(vr);
+		this._captureObjectsFromGRQuery(vr, path);
 
 		//Capture all Dictionary records and related objects.
 		var dict = new GlideRecord(xUpdateSetBuilder._TABLES.SYS_DICTIONARY);
@@ -254,12 +275,16 @@ xUpdateSetBuilder.prototype = {
 		dict.addQuery("name", tblName);
 		dict.query();
 		while (dict.next()) {
-			this.captureTableFieldAndAssociatedObjects(tblName, "" + dict.element);
+			this._callCapture(path, "captureTableFieldAndAssociatedObjects", [tblName, "" + dict.element]);
 		}
 
 		//Capture Form Layouts, Related Lists, and Lists
-		this.captureFormLayoutsForTable(tblName);
-		this.captureListLayoutsForTable(tblName);
+		this._callCapture(path, "captureFormLayoutsForTable", [tblName]);
+		this._callCapture(path, "captureListLayoutsForTable", [tblName]);
+
+		//Capture Notifications if requested
+		if (includeNotifications === true)
+			this._callCapture(path, "captureNotificationsForTable", [tblName, false]);
 	},
 
 	/**
@@ -273,6 +298,7 @@ xUpdateSetBuilder.prototype = {
 		if (JSUtil.nil(vName))
 			throw "xUpdateSetBuilder.captureDatabaseView: parameter 'vName' is nil!";
 		vName = "" + vName;  //ensure string
+		var path = this._getCapturePath("captureDatabaseView");
 
 		//Capture Database View
 		var vw = new GlideRecord(xUpdateSetBuilder._TABLES.DATABASE_VIEW);
@@ -280,26 +306,26 @@ xUpdateSetBuilder.prototype = {
 		vw.query();
 		if (!vw.next())
 			throw "xUpdateSetBuilder.captureDatabaseView: no DB view named '" + vName + "' found!'";
-		this._recordObject(vw);
+		this._recordObject(vw, path);
 
 		//Capture Form and List Layouts
 		//Capture Form Layouts, Related Lists, and Lists
-		this.captureFormLayoutsForTable(vName);
-		this.captureListLayoutsForTable(vName);
+		this._callCapture(path, "captureFormLayoutsForTable", [vName]);
+		this._callCapture(path, "captureListLayoutsForTable", [vName]);
 
 		//Capture View Tables
 		var tbl = new GlideRecord(xUpdateSetBuilder._TABLES.DATABASE_VIEW_TABLE);
 		tbl.addQuery("view", "" + vw.sys_id);
 		tbl.query();
 		while (tbl.next()) {
-			this._recordObject(tbl);
+			this._recordObject(tbl, path);
 
 			//Capture View Table's View Fields if applicable.
 			var fld = new GlideRecord(xUpdateSetBuilder._TABLES.DATABASE_VIEW_TABLE_FIELD);
 			fld.addQuery("view_table", "" + tbl.sys_id);
 			fld.query();
 			while (fld.next()) {
-				this._recordObject(fld);
+				this._recordObject(fld, path);
 			}
 		}
 	},
@@ -315,18 +341,19 @@ xUpdateSetBuilder.prototype = {
 		if (JSUtil.nil(menuSysId))
 			throw "xUpdateSetBuilder.captureApplicationMenuAndModules: parameter 'menuSysId' is nil!";
 		menuSysId = "" + menuSysId;  //ensure string
+		var path = this._getCapturePath("captureApplicationMenuAndModules");
 
 		//Capture app menu.
 		var appMenu = new GlideRecord(xUpdateSetBuilder._TABLES.APPLICATION_MENU);
 		if (!appMenu.get(menuSysId))
 			throw "xUpdateSetBuilder.captureApplicationMenuAndModules: no App menu found for sys_id '"
 				+ menuSysId + "'";
-		this._recordObject(appMenu);
+		this._recordObject(appMenu, path);
 
 		//Capture related modules.
 		var mod = new GlideRecord(xUpdateSetBuilder._TABLES.APPLICATION_MENU_MODULE);
 		mod.addQuery("application", "" + appMenu.sys_id);
-		this._captureObjectsFromGRQuery(mod);
+		this._captureObjectsFromGRQuery(mod, path);
 
 		//TODO Capture mobile modules
 	},
@@ -341,10 +368,11 @@ xUpdateSetBuilder.prototype = {
 		if (JSUtil.nil(scrName))
 			throw "xUpdateSetBuilder.captureScriptIncludeByName: parameter 'scrName' is nil!";
 		var apiName = this._getCurrentScopeName() + "." + scrName;  //Get unique scoped API name
+		var path = this._getCapturePath("captureScriptIncludeByName");
 
 		var scr = new GlideRecord(xUpdateSetBuilder._TABLES.SCRIPT_INCLUDE);
 		scr.addQuery("api_name", apiName);
-		this._captureUniqueGRObject(scr, "xUpdateSetBuilder.captureScriptIncludeByName");
+		this._captureUniqueGRObject(scr, "xUpdateSetBuilder.captureScriptIncludeByName", path);
 	},
 
 	/**
@@ -356,11 +384,12 @@ xUpdateSetBuilder.prototype = {
 		if (JSUtil.nil(roleName))
 			throw "xUpdateSetBuilder.captureUserRole: parameter 'roleName' is nil!";
 		roleName = "" + roleName;  //ensure string
+		var path = this._getCapturePath("captureUserRole");
 
 		var rol = new GlideRecord(xUpdateSetBuilder._TABLES.ROLE);
 		rol.addQuery("sys_scope", this._getCurrentScopeName());
 		rol.addQuery("name", roleName);
-		this._captureUniqueGRObject(rol, "xUpdateSetBuilder.captureUserRole");
+		this._captureUniqueGRObject(rol, "xUpdateSetBuilder.captureUserRole", path);
 	},
 
 	/**
@@ -375,10 +404,11 @@ xUpdateSetBuilder.prototype = {
 		if (JSUtil.nil(appName))
 			throw "xUpdateSetBuilder.captureTableNumber: parameter 'appName' is nil!";
 		appName = "" + appName;  //ensure string
+		var path = this._getCapturePath("captureApplicationRecord");
 
 		var app = new GlideRecord(xUpdateSetBuilder._TABLES.SYS_APPLICATION);
 		app.addQuery("name", appName);
-		this._captureUniqueGRObject(app, "xUpdateSetBuilder.captureApplicationRecord");
+		this._captureUniqueGRObject(app, "xUpdateSetBuilder.captureApplicationRecord", path);
 	},
 
 	/**
@@ -391,11 +421,12 @@ xUpdateSetBuilder.prototype = {
 	captureSystemPropertyCategoryWithAssociations: function(catName) {
 		if (JSUtil.nil(catName))
 			throw "captureSystemPropertyCategory: parameter 'catName' is nil!";
+		var path = this._getCapturePath("captureSystemPropertyCategoryWithAssociations");
 
 		//Capture the specified Category
 		var cat = new GlideRecord(xUpdateSetBuilder._TABLES.SYS_PROPERTIES_CATEGORY);
 		cat.addQuery("name", catName);
-		this._captureUniqueGRObject(cat, "xUpdateSetBuilder.captureSystemPropertyCategoryWithAssociations");
+		this._captureUniqueGRObject(cat, "xUpdateSetBuilder.captureSystemPropertyCategoryWithAssociations", path);
 
 		//Capture all related properties.
 		var assoc = new GlideRecord(xUpdateSetBuilder._TABLES.SYS_PROPERTIES_CATEGORY_ASSOC);
@@ -406,10 +437,10 @@ xUpdateSetBuilder.prototype = {
 			var prop = assoc.property.getRefRecord();
 
 			//Capture the system property itself
-			this.captureSystemProperty("" + prop.name);
+			this._callCapture(path, "captureSystemProperty", ["" + prop.name]);
 
 			//Capture Association to Category record.
-			this._recordObject(assoc);
+			this._recordObject(assoc, path);
 		}
 	},
 
@@ -421,11 +452,12 @@ xUpdateSetBuilder.prototype = {
 	captureSystemProperty: function(propName) {
 		if (JSUtil.nil(propName))
 			throw "xUpdateSetBuilder.captureSystemProperty: parameter 'propName' is nil!";
+		var path = this._getCapturePath("captureSystemProperty");
 
 		//Capture specified system property (should only ever be one).
 		var prop = new GlideRecord(xUpdateSetBuilder._TABLES.SYS_PROPERTIES);
 		prop.addQuery("name", propName);
-		this._captureUniqueGRObject(prop, "xUpdateSetBuilder.captureSystemProperty");
+		this._captureUniqueGRObject(prop, "xUpdateSetBuilder.captureSystemProperty", path);
 	},
 
 	/**
@@ -436,10 +468,126 @@ xUpdateSetBuilder.prototype = {
 	captureEventRegistration: function(evtName) {
 		if (JSUtil.nil(evtName))
 			throw "xUpdateSetBuilder.captureEventRegistration: parameter 'evtName' is nil!";
+		var path = this._getCapturePath("captureEventRegistration");
 
 		var evt = new GlideRecord(xUpdateSetBuilder._TABLES.SYS_EVENT);
 		evt.addQuery("event_name", evtName);
-		this._captureUniqueGRObject(evt, "xUpdateSetBuilder.captureEventRegistration");
+		this._captureUniqueGRObject(evt, "xUpdateSetBuilder.captureEventRegistration", path);
+	},
+
+	/**
+	* This function captures the specified Notification (sysevent_email_action) together with the objects it depends on:
+	*
+	* 1. Email Template (sysevent_email_template), plus the digest template and notification category, if set.
+	* 2. Email Scripts (sys_script_email) referenced via ${mail_script:name} in the notification or its template.
+	* 3. Event Registration (sysevent_register) of the event firing the notification, via captureEventRegistration().
+	* 4. [optional] Subscriptions to the notification (sys_notif_subscription), if any.  These are per-user data
+	*    referencing sys_user records, which may not exist on the target instance, so they're only captured on request.
+	*
+	* Referenced objects that can't be found (ex. an unregistered event) are logged as warnings rather than aborting
+	* the capture of the notification.  Like resolveDependencies() does, referenced objects 1-3 are skipped (and logged)
+	* when they have no customer update or come from another package or scope than the Notification, as shared
+	* out-of-box templates, categories, email scripts and events would otherwise be marked as customized.
+	*
+	* @param nameOrSysId (string) sys_id or (unique) name of the Notification to capture.
+	* @param includeSubscriptions (boolean) [optional] if true, the users' subscriptions to the Notification are captured as well.
+	* @param includePlatformRecords (boolean) [optional] if true, out-of-box referenced objects are captured as well.
+	*/
+	captureNotification: function(nameOrSysId, includeSubscriptions, includePlatformRecords) {
+		if (JSUtil.nil(nameOrSysId))
+			throw "xUpdateSetBuilder.captureNotification: parameter 'nameOrSysId' is nil!";
+		nameOrSysId = "" + nameOrSysId;  //ensure string
+		var path = this._getCapturePath("captureNotification");
+
+		//Capture the Notification, by sys_id or else by name.
+		var ntf = new GlideRecord(xUpdateSetBuilder._TABLES.NOTIFICATION);
+		if (ntf.get(nameOrSysId)) {
+			this._recordObject(ntf, path);
+		} else {
+			ntf = new GlideRecord(xUpdateSetBuilder._TABLES.NOTIFICATION);
+			ntf.addQuery("name", nameOrSysId);
+			this._captureUniqueGRObject(ntf, "xUpdateSetBuilder.captureNotification", path);
+		}
+		var ntfSysId = "" + ntf.sys_id;
+		var origins = (includePlatformRecords === true) ? null
+			: this._getOrigins([{table: ntf.getTableName(), sysId: ntfSysId}]);
+
+		//1. Capture the Email Template and other referenced configuration records.
+		var mailScriptSources = [ntf];
+		for (var i = 0; i < xUpdateSetBuilder._NOTIFICATION_REFERENCE_FIELDS.length; i++) {
+			var refField = xUpdateSetBuilder._NOTIFICATION_REFERENCE_FIELDS[i];
+			if (!ntf.isValidField(refField) || ntf.getElement(refField).nil())
+				continue;
+
+			var ref = ntf.getElement(refField).getRefRecord();
+			if (!ref.isValidRecord()) {
+				gs.log("WARNING: Notification '" + ntf.name + "' references a missing record in field '" + refField + "'");
+				continue;
+			}
+			if (this._captureNotificationReference(ref, ntf, origins, path) && ref.getTableName() == xUpdateSetBuilder._TABLES.EMAIL_TEMPLATE)
+				mailScriptSources.push(ref);
+		}
+
+		//2. Capture Email Scripts referenced by the Notification and its Template(s).
+		var scriptNames = [];
+		for (var j = 0; j < mailScriptSources.length; j++) {
+			var names = xUpdateSetBuilder._findMailScriptNames(mailScriptSources[j]);
+			for (var k = 0; k < names.length; k++) {
+				if (scriptNames.indexOf(names[k]) < 0)
+					scriptNames.push(names[k]);
+			}
+		}
+		for (var m = 0; m < scriptNames.length; m++) {
+			var mailScript = new GlideRecord(xUpdateSetBuilder._TABLES.EMAIL_SCRIPT);
+			mailScript.addQuery("name", scriptNames[m]);
+			mailScript.query();
+			if (!mailScript.hasNext())
+				gs.log("WARNING: No Email Script named '" + scriptNames[m] + "' found for Notification '" + ntf.name + "'");
+			while (mailScript.next())
+				this._captureNotificationReference(mailScript, ntf, origins, path);
+		}
+
+		//3. Capture the Event Registration of the event firing the Notification.
+		if (!ntf.event_name.nil()) {
+			try {
+				var evt = new GlideRecord(xUpdateSetBuilder._TABLES.SYS_EVENT);
+				evt.addQuery("event_name", "" + ntf.event_name);
+				evt.query();
+				if (evt.getRowCount() != 1 || !evt.next() || this._isNotificationReferenceCapturable(evt, ntf, origins))
+					this._callCapture(path, "captureEventRegistration", ["" + ntf.event_name]);
+			} catch (ex) {
+				gs.log("WARNING: Unable to capture event '" + ntf.event_name + "' for Notification '" + ntf.name + "': " + ex);
+			}
+		}
+
+		//4. Capture Subscriptions to the Notification if requested.
+		var sub = new GlideRecord(xUpdateSetBuilder._TABLES.NOTIFICATION_SUBSCRIPTION);
+		if (includeSubscriptions === true && sub.isValid()) {
+			sub.addQuery("notification", ntfSysId);
+			this._captureObjectsFromGRQuery(sub, path);
+		}
+	},
+
+	/**
+	* This function captures all Notifications (and their related objects; see captureNotification()) for the specified
+	* table.  It can also be called by captureTableWithRelatedObjects() in capturing the entirety of a table.
+	*
+	* @param tblName (string) name of the table to capture all Notifications for.
+	* @param includeSubscriptions (boolean) [optional] if true, the users' subscriptions to the Notifications are captured as well.
+	* @param includePlatformRecords (boolean) [optional] if true, out-of-box objects referenced by the Notifications are
+	*                                         captured as well (see captureNotification()).
+	*/
+	captureNotificationsForTable: function(tblName, includeSubscriptions, includePlatformRecords) {
+		if (JSUtil.nil(tblName))
+			throw "xUpdateSetBuilder.captureNotificationsForTable: parameter 'tblName' is nil!";
+		tblName = "" + tblName;  //ensure string
+		var path = this._getCapturePath("captureNotificationsForTable");
+
+		var ntf = new GlideRecord(xUpdateSetBuilder._TABLES.NOTIFICATION);
+		ntf.addQuery("collection", tblName);
+		ntf.query();
+		while (ntf.next())
+			this._callCapture(path, "captureNotification", ["" + ntf.sys_id, includeSubscriptions, includePlatformRecords]);
 	},
 
 	/**
@@ -454,13 +602,14 @@ xUpdateSetBuilder.prototype = {
 		if (JSUtil.nil(tblName))
 			throw "xUpdateSetBuilder.captureDataRecordsFromTable: parameter 'tblName' is nil!";
 		tblName = "" + tblName;  //ensure string
+		var path = this._getCapturePath("captureDataRecordsFromTable");
 
 		//Capture rows in specified table
 		var gr = new GlideRecord(tblName);
 		if (JSUtil.notNil(queryCondition))
 			gr.addEncodedQuery("" + queryCondition);  //ensure string
 		gr.query();
-		this._captureObjectsFromGRQuery(gr);
+		this._captureObjectsFromGRQuery(gr, path);
 		gs.log("xUpdateSetBuilder.captureDataRecordsFromTable: captured " + gr.getRowCount() + " records");
 	},
 
@@ -482,9 +631,10 @@ xUpdateSetBuilder.prototype = {
 		var tblName = gr.getTableName();
 		if (JSUtil.nil(tblName))
 			throw "xUpdateSetBuilder.captureDataRecord: parameter 'gr' must be initialied to a table!";
+		var path = this._getCapturePath("captureDataRecord");
 
 		//Capture record
-		this._recordObject(gr);
+		this._recordObject(gr, path);
 	},
 
 	/**
@@ -498,6 +648,7 @@ xUpdateSetBuilder.prototype = {
 		if (JSUtil.nil(tblName))
 			throw "xUpdateSetBuilder.captureACLsForTable: parameter 'tblName' is nil!";
 		tblName = "" + tblName;  //ensure string
+		var path = this._getCapturePath("captureACLsForTable");
 
 		//Ensure table exists
 		var tblGRCount = new GlideRecord(xUpdateSetBuilder._TABLES.SYS_DB_OBJECT);
@@ -512,13 +663,13 @@ xUpdateSetBuilder.prototype = {
 		acl.addQuery("name", tblName);
 		acl.query();
 		while (acl.next()) {
-			this._recordObject(acl);
+			this._recordObject(acl, path);
 
 			//Capture any ACL required roles
 			var aclRole = new GlideRecord(xUpdateSetBuilder._TABLES.SYS_SECURITY_ACL_ROLE);
 			aclRole.addQuery("sys_security_acl", "" + acl.sys_id);
 			aclRole.query();
-			this._captureObjectsFromGRQuery(aclRole);
+			this._captureObjectsFromGRQuery(aclRole, path);
 		}
 	},
 
@@ -537,6 +688,7 @@ xUpdateSetBuilder.prototype = {
 			throw "xUpdateSetBuilder.captureACLsForTableAndField: parameter 'fieldName' is nil!";
 		tblName = "" + tblName;  //ensure string
 		fieldName = "" + fieldName;  //ensure string.
+		var path = this._getCapturePath("captureACLsForTableAndField");
 
 		//Ensure table exists
 		var tblGRCount = new GlideRecord(xUpdateSetBuilder._TABLES.SYS_DB_OBJECT);
@@ -560,12 +712,12 @@ xUpdateSetBuilder.prototype = {
 		acl.addQuery("name", tblName + "." + fieldName);
 		acl.query();
 		while (acl.next()) {
-			this._recordObject(acl);
+			this._recordObject(acl, path);
 
 			//Capture any ACL required roles
 			var aclRole = new GlideRecord(xUpdateSetBuilder._TABLES.SYS_SECURITY_ACL_ROLE);
 			aclRole.addQuery("sys_security_acl", "" + acl.sys_id);
-			this._captureObjectsFromGRQuery(aclRole);
+			this._captureObjectsFromGRQuery(aclRole, path);
 		}
 	},
 
@@ -580,6 +732,7 @@ xUpdateSetBuilder.prototype = {
 		if (JSUtil.nil(tblName))
 			throw "xUpdateSetBuilder.captureUIPolicesForTable: parameter 'tblName' is nil!";
 		tblName = "" + tblName;  //ensure string
+		var path = this._getCapturePath("captureUIPolicesForTable");
 
 		//Ensure table exists
 		var tblGRCount = new GlideRecord(xUpdateSetBuilder._TABLES.SYS_DB_OBJECT);
@@ -594,13 +747,13 @@ xUpdateSetBuilder.prototype = {
 		ui.addQuery("table", tblName);
 		ui.query();
 		while (ui.next()) {
-			this._recordObject(ui);
+			this._recordObject(ui, path);
 
 			//Capture UI Policy Actions
 			var uia = new GlideRecord(xUpdateSetBuilder._TABLES.UI_POLICY_ACTION);
 			uia.addQuery("ui_policy", "" + ui.sys_id);
 			uia.query();
-			this._captureObjectsFromGRQuery(uia);
+			this._captureObjectsFromGRQuery(uia, path);
 		}
 	},
 
@@ -615,6 +768,7 @@ xUpdateSetBuilder.prototype = {
 		if (JSUtil.nil(tblName))
 			throw "xUpdateSetBuilder.captureDataPolicesForTable: parameter 'tblName' is nil!";
 		tblName = "" + tblName;  //ensure string
+		var path = this._getCapturePath("captureDataPolicesForTable");
 
 		//Ensure table exists
 		var tblGRCount = new GlideRecord(xUpdateSetBuilder._TABLES.SYS_DB_OBJECT);
@@ -629,12 +783,12 @@ xUpdateSetBuilder.prototype = {
 		dp.addQuery("model_table", tblName);
 		dp.query();
 		while (dp.next()) {
-			this._recordObject(dp);
+			this._recordObject(dp, path);
 
 			//Capture Data Policy Rules
 			var dpr = new GlideRecord(xUpdateSetBuilder._TABLES.DATA_POLICY_RULE);
 			dpr.addQuery("sys_data_policy", "" + dp.sys_id);
-			this._captureObjectsFromGRQuery(dpr);
+			this._captureObjectsFromGRQuery(dpr, path);
 		}
 	},
 
@@ -649,6 +803,7 @@ xUpdateSetBuilder.prototype = {
 		if (JSUtil.nil(tblName))
 			throw "xUpdateSetBuilder.captureTableNumber: parameter 'tblName' is nil!";
 		tblName = "" + tblName;  //ensure string
+		var path = this._getCapturePath("captureTableNumber");
 
 		//Ensure table exists
 		var tblGR = new GlideRecord(xUpdateSetBuilder._TABLES.SYS_DB_OBJECT);
@@ -658,7 +813,7 @@ xUpdateSetBuilder.prototype = {
 
 		var nm = new GlideRecord(xUpdateSetBuilder._TABLES.TABLE_NUMBER);
 		nm.addQuery("category", tblName);
-		this._captureObjectsFromGRQuery(nm);
+		this._captureObjectsFromGRQuery(nm, path);
 	},
 
 	/**
@@ -674,6 +829,7 @@ xUpdateSetBuilder.prototype = {
 		if (JSUtil.nil(tblName))
 			throw "xUpdateSetBuilder.captureListLayoutsForTable: parameter 'tblName' is nil!";
 		tblName = "" + tblName;  //ensure string
+		var path = this._getCapturePath("captureListLayoutsForTable");
 
 		//1. Capture List Layouts
 		var lst = new GlideRecord(xUpdateSetBuilder._TABLES.LIST_LAYOUT);
@@ -691,13 +847,13 @@ xUpdateSetBuilder.prototype = {
 				continue;
 
 			//Ensure dependent View for this Form Layout already captured.
-			this._captureUIView("" + vw.sys_id);
+			this._captureUIView("" + vw.sys_id, path);
 
 			//Capture the List Layout
 			//NOTE: When capturing a List Layout record, the GlideUpdateManager class will
 			//automatically record the child UI Element records as xUpdateSetBuilder, so we don't need to do
 			//it here explicitly.
-			this._recordObject(lst);
+			this._recordObject(lst, path);
 		}
 
 		//2. Capture List Control
@@ -705,7 +861,7 @@ xUpdateSetBuilder.prototype = {
 		lc.addQuery("name", tblName);
 		lc.query();
 		while (lc.next())
-			this._recordObject(lc);
+			this._recordObject(lc, path);
 	},
 
 	/**
@@ -725,6 +881,7 @@ xUpdateSetBuilder.prototype = {
 		if (JSUtil.nil(tblName))
 			throw "xUpdateSetBuilder.captureFormLayoutsForTable: parameter 'tblName' is nil!";
 		tblName = "" + tblName;  //ensure string
+		var path = this._getCapturePath("captureFormLayoutsForTable");
 
 		//Capture all Form records (one per view) and associated Form Sections (tabs, elements)
 		var frm = new GlideRecord(xUpdateSetBuilder._TABLES.FORM);
@@ -741,7 +898,7 @@ xUpdateSetBuilder.prototype = {
 				continue;
 
 			//1. Capture the Form record
-			this._recordObject(frm);
+			this._recordObject(frm, path);
 
 			//2. Iterate through the Form Section records (sys_ui_form_section)[These are the individual tabs on the form.]
 			//to capture the individual Form Section records (sys_ui_section)[These define the layout on each tab and form].
@@ -757,7 +914,7 @@ xUpdateSetBuilder.prototype = {
 				//NOTE: We don't have to capture the child Section Element (sys_ui_element) records cause the Update Set
 				//API automatically does that when capturing their parent Form Section (sys_ui_section) record.
 				var frs2 = frs1.sys_ui_section.getRefRecord();
-				this._recordObject(frs2);
+				this._recordObject(frs2, path);
 			}
 
 			//3. Grab Related Lists for this Form and View combo
@@ -774,7 +931,7 @@ xUpdateSetBuilder.prototype = {
 				//Capture the Related List record.
 				//NOTE: We don't have to capture the child RElated List Entries (sys_ui_related_list_entry) records cause
 				//the Update Set API automatically does that when capturing their parent Related List record.
-				this._recordObject(rel);
+				this._recordObject(rel, path);
 
 			} else
 				gs.log("WARNING: No Related List found for Table '" + tblName + "' for View '" + vw.name + "'");
@@ -795,6 +952,7 @@ xUpdateSetBuilder.prototype = {
 		if (JSUtil.nil(fldName))
 			throw "xUpdateSetBuilder.captureTableFieldAndAssociatedObjects: parameter 'fldName' is nil!";
 		fldName = "" + fldName;  //ensure string
+		var path = this._getCapturePath("captureTableFieldAndAssociatedObjects");
 
 		//Ensure field exists on table.
 		var dict = new GlideRecord(xUpdateSetBuilder._TABLES.SYS_DICTIONARY);
@@ -806,28 +964,28 @@ xUpdateSetBuilder.prototype = {
 				+ "' on table '" + tblName + "' found!";
 
 		//save the Dictionary record for field.
-		this._recordObject(dict);
+		this._recordObject(dict, path);
 
 		//Get Label records for this field.
 		var lbl = new GlideRecord(xUpdateSetBuilder._TABLES.SYS_DOCUMENTATION);
 		lbl.addQuery("name", tblName);
 		lbl.addQuery("element", fldName);
-		this._captureObjectsFromGRQuery(lbl);
+		this._captureObjectsFromGRQuery(lbl, path);
 
 		//Get any choice lists
 		var cho = new GlideRecord(xUpdateSetBuilder._TABLES.SYS_CHOICE);
 		cho.addQuery("name", tblName);
 		cho.addQuery("element", fldName);
-		this._captureObjectsFromGRQuery(cho);
+		this._captureObjectsFromGRQuery(cho, path);
 
 		//Capture FIELD level ACL's for this table and field.
-		this.captureACLsForTableAndField(tblName, fldName);
+		this._callCapture(path, "captureACLsForTableAndField", [tblName, fldName]);
 
 		//Capture dictionary overrides
 		var over = new GlideRecord(xUpdateSetBuilder._TABLES.SYS_DICTIONARY_OVERRIDE);
 		over.addQuery("name", tblName);
 		over.addQuery("element", fldName);
-		this._captureObjectsFromGRQuery(over);
+		this._captureObjectsFromGRQuery(over, path);
 	},
 
 	/**
@@ -839,12 +997,13 @@ xUpdateSetBuilder.prototype = {
 		if (JSUtil.nil(ruleSysId))
 			throw "captureArchivalRule: parameter 'ruleSysId' is nil!";
 		ruleSysId = "" + ruleSysId;  //ensure string
+		var path = this._getCapturePath("captureArchivalRule");
 
 		//Ensure exists
 		var rul = new GlideRecord(xUpdateSetBuilder._TABLES.ARCHIVE_RULE);
 		if (!rul.get(ruleSysId))
 			throw "xUpdateSetBuilder.captureArchivalRule: No archive rule found for sys_id " + ruleSysId;
-		this._recordObject(rul);
+		this._recordObject(rul, path);
 
 		//Capture any "Archive Related Records" child records.
 		var rel = new GlideRecord(xUpdateSetBuilder._TABLES.ARCHIVE_RULE_RELATED);
@@ -853,7 +1012,7 @@ xUpdateSetBuilder.prototype = {
 		while (rel.next()) {
 
 			//Capture Rel Record.
-			this._recordObject(rel);
+			this._recordObject(rel, path);
 
 			//If this record references another Table Rule, then that must also be captured.
 			if (!rel.table_archive_rule.nil()) {
@@ -861,11 +1020,107 @@ xUpdateSetBuilder.prototype = {
 				//Ensure no circular references
 				var chld = "" + rel.table_archive_rule;
 				if (chld != ruleSysId)
-					this.captureArchivalRule(chld);
+					this._callCapture(path, "captureArchivalRule", [chld]);
 			}
 		}
 	},
 
+	/**
+	* The caller normally has to ensure they capture all the necessary components; this function does part of that
+	* work, by inspecting the captured objects and capturing what they reference:
+	*
+	* 1. Roles required by ACLs (sys_security_acl_role), Application Menus and Modules.
+	* 2. Script Includes referenced by name in scripts (ex. "new MyUtils()", "MyUtils.doIt()", "new GlideAjax('MyAjax')")
+	*    of Business Rules, UI Actions, Client Scripts, UI Policies, ACLs and Script Includes.
+	* 3. Events fired in those scripts via gs.eventQueue() / gs.eventQueueScheduled().
+	* 4. Custom tables (u_ or x_ prefix) targeted by reference fields, captured with captureTableWithRelatedObjects().
+	*
+	* Objects captured this way are inspected in turn, up to the maximum depth (depth 1 being the dependencies of the
+	* objects captured before calling this function, the "root" objects).  Roles and Script Includes are captured with
+	* the respective capture functions, so only those in the current scope are captured; the others are reported as
+	* skipped.  Events are captured by name regardless of their scope (see captureEventRegistration()).
+	*
+	* Capturing a record writes it to the update set as a customer update, which would mark out-of-box records (ex. the
+	* JSUtil Script Include, or the admin role) as customized on the target instance.  Unless the 'includePlatformRecords'
+	* option is set, a dependency is therefore skipped when its record has no customer update (sys_update_xml) on this
+	* instance, or belongs to a different package or scope than all of the root objects.
+	*
+	* @param options (object) [optional] {maxDepth: (number) how many levels of dependencies to resolve (default 3),
+	*                                     exclude: (Array) names of roles, script includes, events or tables to never
+	*                                     capture,
+	*                                     includePlatformRecords: (boolean) if true, also capture dependencies with no
+	*                                     customer update, or from another package or scope (default false)}.
+	* @return (number) the number of objects added.
+	*/
+	resolveDependencies: function(options) {
+		options = options || {};
+		var maxDepth = JSUtil.nil(options.maxDepth) ? 3 : parseInt(options.maxDepth, 10);
+		if (isNaN(maxDepth) || maxDepth < 1)
+			throw "xUpdateSetBuilder.resolveDependencies: option 'maxDepth' must be a number >= 1!";
+		var exclude = {};
+		var excludeNames = options.exclude || [];
+		for (var e = 0; e < excludeNames.length; e++)
+			exclude["" + excludeNames[e]] = true;
+
+		var countBefore = this._capturedObjectCount;
+		var resolved = {};  //type:name of the dependencies already resolved, which are only reported once.
+		var objects = this.getManifest();
+		var origins = (options.includePlatformRecords === true) ? null : this._getOrigins(objects);
+		for (var depth = 1; depth <= maxDepth && objects.length > 0; depth++) {
+			var firstNew = this._capturedObjectCount;
+			for (var i = 0; i < objects.length; i++) {
+				var deps = this._findDependencies(objects[i]);
+				for (var j = 0; j < deps.length; j++)
+					this._resolveDependency(deps[j], objects[i], depth, resolved, exclude, origins);
+			}
+
+			//Inspect the objects added at this depth at the next one.
+			objects = this.getManifest().slice(firstNew);
+		}
+
+		var added = this._capturedObjectCount - countBefore;
+		gs.log("xUpdateSetBuilder.resolveDependencies: captured " + added + " additional objects");
+		if (this.isVerbose())
+			gs.log(this.formatDependencyReport());
+		return added;
+	},
+
+	/**
+	* Returns the dependencies reported by resolveDependencies() since the last writeUpdateSet(), as an array of
+	* objects with the following properties:
+	*
+	*   depth        - the depth the dependency was found at.
+	*   type         - one of the xUpdateSetBuilder.DEPENDENCY_TYPE values.
+	*   name         - name of the role, script include, event or table.
+	*   reason       - why it is needed (ex. 'role required by the ACL').
+	*   requiredBy   - the captured object that references it (ex. "sys_security_acl_role 'incident' (<sys_id>)").
+	*   status       - 'added', 'already captured', 'excluded' or 'skipped'.
+	*   detail       - why it was skipped, or empty.
+	*   objectsAdded - number of objects added by capturing it.
+	*/
+	getDependencyReport: function() {
+		return this._dependencyReport.slice();
+	},
+
+	/**
+	* Renders the dependency report (see getDependencyReport()) as plain text, one line per dependency.
+	*/
+	formatDependencyReport: function() {
+		var added = 0;
+		for (var i = 0; i < this._dependencyReport.length; i++)
+			added += this._dependencyReport[i].objectsAdded;
+
+		var lines = [this._dependencyReport.length + " dependencies found, " + added + " object(s) added"];
+		for (var j = 0; j < this._dependencyReport.length; j++) {
+			var entry = this._dependencyReport[j];
+			var status = entry.status + ((entry.status == xUpdateSetBuilder._DEPENDENCY_STATUS.ADDED) ? (" " + entry.objectsAdded + " object(s)") : "")
+				+ (JSUtil.nil(entry.detail) ? "" : (": " + entry.detail));
+			lines.push("[" + entry.depth + "] " + entry.type + " '" + entry.name + "' (" + entry.reason + ", required by "
+				+ entry.requiredBy + ") - " + status);
+		}
+		return lines.join("\n");
+	},
+
 	isVerbose: function() {
 		return (this._verbose === true);
 	},
@@ -874,6 +1129,64 @@ xUpdateSetBuilder.prototype = {
 		return this._capturedObjectCount;
 	},
 
+	/**
+	* Returns every captured object (in the order captured) that would be written by writeUpdateSet(), as an array of
+	* objects with the following properties:
+	*
+	*   table         - name of the table of the object.
+	*   sysId         - sys_id of the object.
+	*   displayName   - display value of the object.
+	*   scope         - scope (namespace) of the object, or empty if the table isn't scoped.
+	*   captureMethod - name of the capture method that added the object (ex. 'captureACLsForTable').
+	*   capturePath   - the capture method calls that led to the object being added, outermost first
+	*                   (ex. 'captureTableWithRelatedObjects > captureACLsForTable').
+	*/
+	getManifest: function() {
+		var manifest = [];
+		for (var sys_id in this._capturedObjectMap) {
+			var capturedObject = this._capturedObjectMap[sys_id];
+			manifest.push({
+				table: capturedObject.table,
+				sysId: capturedObject.sysId,
+				displayName: capturedObject.displayName,
+				scope: capturedObject.scope,
+				captureMethod: capturedObject.captureMethod,
+				capturePath: capturedObject.capturePath,
+				order: capturedObject.order
+			});
+		}
+		manifest.sort(function(a, b) {
+			return a.order - b.order;
+		});
+		for (var i = 0; i < manifest.length; i++)
+			delete manifest[i].order;
+		return manifest;
+	},
+
+	/**
+	* Renders the manifest of captured objects (see getManifest()) without writing anything to an update set.  To make
+	* previews easy to diff, objects are sorted by table, display name and sys_id.
+	*
+	* @param format (string) [optional] one of the xUpdateSetBuilder.MANIFEST_FORMAT values; defaults to TEXT.
+	*/
+	preview: function(format) {
+		format = JSUtil.nil(format) ? xUpdateSetBuilder.MANIFEST_FORMAT.TEXT : ("" + format).toLowerCase();
+
+		var manifest = this.getManifest();
+		manifest.sort(function(a, b) {
+			return xUpdateSetBuilder._compare(a.table, b.table) || xUpdateSetBuilder._compare(a.displayName, b.displayName)
+				|| xUpdateSetBuilder._compare(a.sysId, b.sysId);
+		});
+
+		if (format == xUpdateSetBuilder.MANIFEST_FORMAT.JSON)
+			return JSON.stringify(manifest, null, 2);
+		if (format == xUpdateSetBuilder.MANIFEST_FORMAT.CSV)
+			return this._formatManifestCSV(manifest);
+		if (format == xUpdateSetBuilder.MANIFEST_FORMAT.TEXT)
+			return this._formatManifestText(manifest);
+		throw "xUpdateSetBuilder.preview: unsupported format '" + format + "'!";
+	},
+
 
 	///////////////////////////////////////////// INTERNAL FUNCTIONS /////////////////////////////////////////////
 
@@ -885,8 +1198,9 @@ xUpdateSetBuilder.prototype = {
 	* by those respective functions to perform this check and capture the View record if necessary.
 	*
 	* @param sys_id (string) sys_id of the sys_ui_view record to capture.
+	* @param capturePath (string) capture path of the calling capture function (see getManifest()).
 	*/
-	_captureUIView: function(sys_id) {
+	_captureUIView: function(sys_id, capturePath) {
 		if (JSUtil.nil(sys_id))
 			throw "xUpdateSetBuilder.captureUIViewsForTable: parameter 'sys_id' is nil!";
 		sys_id = "" + sys_id;  //ensure string
@@ -900,7 +1214,7 @@ xUpdateSetBuilder.prototype = {
 
 			//Record UI View since not already in cache.
 			gs.log("Capturing UI View '" + uiv.title + "'");
-			this._recordObject(uiv);
+			this._recordObject(uiv, capturePath);
 		}
 	},
 
@@ -913,15 +1227,16 @@ xUpdateSetBuilder.prototype = {
 	* @param gr (GlideRecord) A GlideRecord object with query conditions pre-loaded.
 	* @param callingMethod (string) name of the function calling this function, to be included in the error
 	*                               that is thrown if there is an issue.
+	* @param capturePath (string) capture path of the calling capture function (see _recordObject()).
 	*/
-	_captureUniqueGRObject: function(gr, callingMethod) {
+	_captureUniqueGRObject: function(gr, callingMethod, capturePath) {
 		if (!gr)
 			throw "xUpdateSetBuilder._captureUniqueGRObject: parameter 'gr' is nil!";
 		gr.query();
 
 		//Only record the object if there is exactly one, as expected.
 		if (gr.getRowCount() == 1 && gr.next())
-			this._recordObject(gr);
+			this._recordObject(gr, capturePath);
 
 		//Otherwise throw the appropriate error for the actual result found.
 		else if (gr.getRowCount() < 1) {
@@ -938,8 +1253,9 @@ xUpdateSetBuilder.prototype = {
 	* object in the result set.
 	*
 	* @param gr (GlideRecord) A GlideRecord object with query conditions pre-loaded.
+	* @param capturePath (string) capture path of the calling capture function (see _recordObject()).
 	*/
-	_captureObjectsFromGRQuery: function(gr) {
+	_captureObjectsFromGRQuery: function(gr, capturePath) {
 		if (!gr)
 			throw "xUpdateSetBuilder._captureObjectsFromGRQuery: parameter 'gr' is nil!";
 		//TODO additional validations
@@ -947,7 +1263,7 @@ xUpdateSetBuilder.prototype = {
 		//Run provided query and capture all records from it.
 		gr.query();
 		while (gr.next())
-			this._recordObject(gr);
+			this._recordObject(gr, capturePath);
 	},
 
 	/**
@@ -955,16 +1271,28 @@ xUpdateSetBuilder.prototype = {
 	* specified  GlideRecord object for capture in an update set.
 	*
 	* @param gr (GlideRecord) object to capture for recording to an update set.
+	* @param capturePath (string) the capture function calls that led to the object, outermost first, separated by
+	*                             ' > ' (see _getCapturePath()); the last one is reported as its capture method.
 	*/
-	_recordObject: function(gr) {
+	_recordObject: function(gr, capturePath) {
 		if (!gr)
 			return;
 
-		//Mapping: sys_id -> table of object. (only parameters needed to capture object in Update Set).
+		//Mapping: sys_id -> table of object (the only parameter needed to capture object in Update Set), plus the
+		//details reported by getManifest().
 		var sys_id = "" + gr.sys_id;
 		var capturedObject = this._capturedObjectMap[sys_id];
 		if (!capturedObject) {
-			capturedObject = this._capturedObjectMap[sys_id] = gr.getTableName();
+			capturePath = JSUtil.nil(capturePath) ? "" : "" + capturePath;
+			capturedObject = this._capturedObjectMap[sys_id] = {
+				table: gr.getTableName(),
+				sysId: sys_id,
+				displayName: "" + gr.getDisplayValue(),
+				scope: gr.isValidField("sys_scope") ? ("" + gr.sys_scope.scope) : "",
+				captureMethod: capturePath.split(" > ").pop(),
+				capturePath: capturePath,
+				order: this._capturedObjectCount
+			};
 
 			//Increment counter and output logs if applicable.
 			this._capturedObjectCount++;
@@ -973,6 +1301,34 @@ xUpdateSetBuilder.prototype = {
 		}
 	},
 
+	/**
+	* Returns the capture path of a capture function (see getManifest()): its name, appended to the capture path of
+	* the capture function calling it through _callCapture(), if any.
+	*
+	* @param methodName (string) name of the capture function.
+	*/
+	_getCapturePath: function(methodName) {
+		var stack = this._capturePathStack;
+		return (stack.length == 0) ? methodName : stack[stack.length - 1] + " > " + methodName;
+	},
+
+	/**
+	* Calls a public capture function from another one, keeping the capture path of the caller on the stack for the
+	* duration of the call, so the objects it captures are reported with the full path.
+	*
+	* @param capturePath (string) capture path of the calling capture function.
+	* @param methodName (string) name of the capture function to call.
+	* @param args (Array) arguments of the call.
+	*/
+	_callCapture: function(capturePath, methodName, args) {
+		this._capturePathStack.push(capturePath);
+		try {
+			return this[methodName].apply(this, args);
+		} finally {
+			this._capturePathStack.pop();
+		}
+	},
+
 	/**
 	* WORKAROUND FUNCTION: There are a few places where knowing the user's current selected scope is required;
 	* ServiceNow provides a GlideSystem function for this purpose (getCurrentScopeName), however when in the Global
@@ -1002,16 +1358,436 @@ xUpdateSetBuilder.prototype = {
 	_flushObjectCache: function() {
 		this._capturedObjectMap = {};
 		this._capturedObjectCount = 0;
+		this._dependencyReport = [];
+	},
+
+	/**
+	* Inspects a captured object for the dependencies resolveDependencies() supports.
+	*
+	* @param capturedObject (object) the captured object, as returned by getManifest().
+	* @return (Array) the dependencies found: [{type, name, reason}].
+	*/
+	_findDependencies: function(capturedObject) {
+		var gr = new GlideRecord(capturedObject.table);
+		if (!gr.get(capturedObject.sysId))
+			return [];
+
+		var deps = [];
+		var table = capturedObject.table;
+
+		//1. Roles
+		if (table == xUpdateSetBuilder._TABLES.SYS_SECURITY_ACL_ROLE && !gr.sys_user_role.nil()) {
+			var role = gr.sys_user_role.getRefRecord();
+			if (role.isValidRecord())
+				deps.push({type: xUpdateSetBuilder.DEPENDENCY_TYPE.ROLE, name: "" + role.name, reason: "role required by the ACL"});
+		}
+		if (table == xUpdateSetBuilder._TABLES.APPLICATION_MENU || table == xUpdateSetBuilder._TABLES.APPLICATION_MENU_MODULE) {
+			var roleNames = gr.isValidField("roles") ? ("" + gr.roles).split(",") : [];
+			for (var r = 0; r < roleNames.length; r++) {
+				var roleName = roleNames[r].replace(/^\s+|\s+$/g, "");
+				if (roleName.length > 0)
+					deps.push({type: xUpdateSetBuilder.DEPENDENCY_TYPE.ROLE, name: roleName, reason: "role required to see the "
+						+ ((table == xUpdateSetBuilder._TABLES.APPLICATION_MENU) ? "application menu" : "module")});
+			}
+		}
+
+		//2. and 3. Script Includes and Events referenced in scripts.
+		var scriptFields = xUpdateSetBuilder._SCRIPT_FIELDS[table] || [];
+		for (var f = 0; f < scriptFields.length; f++) {
+			if (!gr.isValidField(scriptFields[f]) || gr.getElement(scriptFields[f]).nil())
+				continue;
+
+			var refs = xUpdateSetBuilder._findScriptReferences("" + gr.getElement(scriptFields[f]));
+			var reason = "referenced in the '" + scriptFields[f] + "' script";
+			var scriptIncludes = this._findScriptIncludes(refs.scriptIncludes);
+			for (var s = 0; s < scriptIncludes.length; s++)
+				deps.push({type: xUpdateSetBuilder.DEPENDENCY_TYPE.SCRIPT_INCLUDE, name: scriptIncludes[s], reason: reason});
+			for (var ev = 0; ev < refs.events.length; ev++)
+				deps.push({type: xUpdateSetBuilder.DEPENDENCY_TYPE.EVENT, name: refs.events[ev], reason: "fired in the '" + scriptFields[f] + "' script"});
+		}
+
+		//4. Tables targeted by reference fields.
+		if (table == xUpdateSetBuilder._TABLES.SYS_DICTIONARY && ("" + gr.internal_type) == "reference" && !gr.reference.nil())
+			deps.push({type: xUpdateSetBuilder.DEPENDENCY_TYPE.TABLE, name: "" + gr.reference, reason: "target of reference field '" + gr.name + "." + gr.element + "'"});
+
+		return deps;
+	},
+
+	/**
+	* @param names (Array) candidate Script Include names found in a script.
+	* @return (Array) the names for which a Script Include exists.
+	*/
+	_findScriptIncludes: function(names) {
+		if (names.length == 0)
+			return [];
+
+		var found = [];
+		var scr = new GlideRecord(xUpdateSetBuilder._TABLES.SCRIPT_INCLUDE);
+		scr.addQuery("name", "IN", names.join(","));
+		scr.query();
+		while (scr.next()) {
+			var name = "" + scr.name;
+			if (found.indexOf(name) < 0)
+				found.push(name);
+		}
+		return found;
+	},
+
+	/**
+	* Returns the packages and scopes (sys_ids) of the specified captured objects, to only resolve dependencies from
+	* the same origins (see resolveDependencies()).
+	*
+	* @param capturedObjects (Array) the captured objects, as returned by getManifest().
+	* @return (object) {packages: (object) sys_id -> true, scopes: (object) sys_id -> true}.
+	*/
+	_getOrigins: function(capturedObjects) {
+		var origins = {packages: {}, scopes: {}};
+		for (var i = 0; i < capturedObjects.length; i++) {
+			var gr = new GlideRecord(capturedObjects[i].table);
+			if (!gr.get(capturedObjects[i].sysId))
+				continue;
+			if (gr.isValidField("sys_package") && !gr.sys_package.nil())
+				origins.packages["" + gr.sys_package] = true;
+			if (gr.isValidField("sys_scope") && !gr.sys_scope.nil())
+				origins.scopes["" + gr.sys_scope] = true;
+		}
+		return origins;
+	},
+
+	/**
+	* Returns whether a record referenced by a Notification can be captured (see captureNotification()): it already
+	* was, origins is null, or it has a customer update and comes from the Notification's package and scope.  Records
+	* that can't are logged as skipped.
+	*
+	* @param gr (GlideRecord) the referenced record.
+	* @param ntf (GlideRecord) the Notification.
+	* @param origins (object) package and scope of the Notification (see _getOrigins()), or null.
+	*/
+	_isNotificationReferenceCapturable: function(gr, ntf, origins) {
+		if (origins == null || this._capturedObjectMap["" + gr.sys_id])
+			return true;
+		var skipReason = this._getOriginSkipReason(gr, origins);
+		if (skipReason == "")
+			return true;
+		gs.log("Skipped " + gr.getTableName() + " '" + gr.getDisplayValue() + "' referenced by Notification '" + ntf.name
+			+ "': " + skipReason + " (see the 'includePlatformRecords' parameter)");
+		return false;
+	},
+
+	/**
+	* Captures a record referenced by a Notification, unless it is skipped (see _isNotificationReferenceCapturable()).
+	*
+	* @return (boolean) true if the record was captured.
+	*/
+	_captureNotificationReference: function(gr, ntf, origins, capturePath) {
+		if (!this._isNotificationReferenceCapturable(gr, ntf, origins))
+			return false;
+		this._recordObject(gr, capturePath);
+		return true;
+	},
+
+	/**
+	* Returns the record a dependency would be captured from, or null if there isn't exactly one (in which case the
+	* capture function reports why).
+	*/
+	_getDependencyRecord: function(dep) {
+		var gr;
+		if (dep.type == xUpdateSetBuilder.DEPENDENCY_TYPE.ROLE) {
+			gr = new GlideRecord(xUpdateSetBuilder._TABLES.ROLE);
+			gr.addQuery("sys_scope", this._getCurrentScopeName());
+			gr.addQuery("name", dep.name);
+		} else if (dep.type == xUpdateSetBuilder.DEPENDENCY_TYPE.SCRIPT_INCLUDE) {
+			gr = new GlideRecord(xUpdateSetBuilder._TABLES.SCRIPT_INCLUDE);
+			gr.addQuery("api_name", this._getCurrentScopeName() + "." + dep.name);
+		} else if (dep.type == xUpdateSetBuilder.DEPENDENCY_TYPE.EVENT) {
+			gr = new GlideRecord(xUpdateSetBuilder._TABLES.SYS_EVENT);
+			gr.addQuery("event_name", dep.name);
+		} else {
+			gr = new GlideRecord(xUpdateSetBuilder._TABLES.SYS_DB_OBJECT);
+			gr.addQuery("name", dep.name);
+		}
+		gr.query();
+		return (gr.getRowCount() == 1 && gr.next()) ? gr : null;
+	},
+
+	/**
+	* Returns why the record of a dependency shouldn't be captured (see resolveDependencies()), or an empty string if
+	* it can be: it has no customer update, or its package or scope isn't one of the root objects'.
+	*
+	* @param gr (GlideRecord) record of the dependency.
+	* @param origins (object) packages and scopes of the root objects, as returned by _getOrigins().
+	*/
+	_getOriginSkipReason: function(gr, origins) {
+		if (gr.isValidField("sys_package") && !gr.sys_package.nil() && !origins.packages["" + gr.sys_package])
+			return "package '" + gr.sys_package.getDisplayValue() + "' differs from the captured objects'";
+		if (gr.isValidField("sys_scope") && !gr.sys_scope.nil() && !origins.scopes["" + gr.sys_scope])
+			return "scope '" + gr.sys_scope.getDisplayValue() + "' differs from the captured objects'";
+
+		var updateName = (gr.isValidField("sys_update_name") && !gr.sys_update_name.nil())
+			? "" + gr.sys_update_name : gr.getTableName() + "_" + gr.sys_id;
+		var upd = new GlideRecord(xUpdateSetBuilder._TABLES.UPDATE_XML);
+		upd.addQuery("name", updateName);
+		upd.setLimit(1);
+		upd.query();
+		if (!upd.hasNext())
+			return "no customer update";
+		return "";
+	},
+
+	/**
+	* Captures a dependency found by _findDependencies() (unless already resolved, excluded, or from another origin
+	* than the root objects), and reports it.
+	*
+	* @param origins (object) packages and scopes of the root objects (see _getOrigins()), or null to capture the
+	*                         dependency regardless of its origin.
+	*/
+	_resolveDependency: function(dep, capturedObject, depth, resolved, exclude, origins) {
+		var key = dep.type + ":" + dep.name;
+		if (resolved[key])
+			return;
+		resolved[key] = true;
+
+		var entry = {
+			depth: depth,
+			type: dep.type,
+			name: dep.name,
+			reason: dep.reason,
+			requiredBy: capturedObject.table + " '" + capturedObject.displayName + "' (" + capturedObject.sysId + ")",
+			status: xUpdateSetBuilder._DEPENDENCY_STATUS.ALREADY_CAPTURED,
+			detail: "",
+			objectsAdded: 0
+		};
+		this._dependencyReport.push(entry);
+
+		if (exclude[dep.name]) {
+			entry.status = xUpdateSetBuilder._DEPENDENCY_STATUS.EXCLUDED;
+			return;
+		}
+		if (dep.type == xUpdateSetBuilder.DEPENDENCY_TYPE.TABLE && !/^(u_|x_)/.test(dep.name)) {
+			entry.status = xUpdateSetBuilder._DEPENDENCY_STATUS.SKIPPED;
+			entry.detail = "platform table";
+			return;
+		}
+		if (origins) {
+			var depGR = this._getDependencyRecord(dep);
+			var skipReason = (depGR && !this._capturedObjectMap["" + depGR.sys_id])
+				? this._getOriginSkipReason(depGR, origins) : "";
+			if (skipReason) {
+				entry.status = xUpdateSetBuilder._DEPENDENCY_STATUS.SKIPPED;
+				entry.detail = skipReason + " (see the 'includePlatformRecords' option)";
+				return;
+			}
+		}
+
+		var countBefore = this._capturedObjectCount;
+		var path = "resolveDependencies";
+		try {
+			if (dep.type == xUpdateSetBuilder.DEPENDENCY_TYPE.ROLE)
+				this._callCapture(path, "captureUserRole", [dep.name]);
+			else if (dep.type == xUpdateSetBuilder.DEPENDENCY_TYPE.SCRIPT_INCLUDE)
+				this._callCapture(path, "captureScriptIncludeByName", [dep.name]);
+			else if (dep.type == xUpdateSetBuilder.DEPENDENCY_TYPE.EVENT)
+				this._callCapture(path, "captureEventRegistration", [dep.name]);
+			else if (dep.type == xUpdateSetBuilder.DEPENDENCY_TYPE.TABLE)
+				this._callCapture(path, "captureTableWithRelatedObjects", [dep.name, false]);
+		} catch (ex) {
+			entry.status = xUpdateSetBuilder._DEPENDENCY_STATUS.SKIPPED;
+			entry.detail = "" + ex;
+		}
+
+		entry.objectsAdded = this._capturedObjectCount - countBefore;
+		if (entry.objectsAdded > 0)
+			entry.status = xUpdateSetBuilder._DEPENDENCY_STATUS.ADDED;
+	},
+
+	/**
+	* Renders the manifest as a plain text table, with a header line counting the objects.  The capture path comes
+	* last, as it explains why an object was captured (ex. by resolveDependencies()) and can be long.
+	*/
+	_formatManifestText: function(manifest) {
+		var columns = ["table", "sysId", "displayName", "scope", "capturePath"];
+		var headings = ["Table", "Sys ID", "Display Name", "Scope", "Capture Path"];
+
+		//Size every column to its widest value.
+		var widths = [];
+		for (var c = 0; c < columns.length; c++) {
+			widths[c] = headings[c].length;
+			for (var i = 0; i < manifest.length; i++)
+				widths[c] = Math.max(widths[c], ("" + manifest[i][columns[c]]).length);
+		}
+
+		var pad = function(val, width) {
+			val = "" + val;
+			while (val.length < width)
+				val += " ";
+			return val;
+		};
+		var formatRow = function(values) {
+			var cells = [];
+			for (var c = 0; c < values.length; c++)
+				cells.push(pad(values[c], widths[c]));
+			return cells.join("  ").replace(/\s+$/, "");
+		};
+
+		var lines = [manifest.length + " captured object(s)", "", formatRow(headings)];
+		var rule = [];
+		for (var w = 0; w < widths.length; w++)
+			rule.push(new Array(widths[w] + 1).join("-"));
+		lines.push(rule.join("  "));
+		for (var j = 0; j < manifest.length; j++) {
+			var row = [];
+			for (var k = 0; k < columns.length; k++)
+				row.push(manifest[j][columns[k]]);
+			lines.push(formatRow(row));
+		}
+		return lines.join("\n");
+	},
+
+	/**
+	* Renders the manifest as CSV (RFC 4180) with a header row.
+	*/
+	_formatManifestCSV: function(manifest) {
+		var columns = ["table", "sysId", "displayName", "scope", "captureMethod", "capturePath"];
+		var escape = function(val) {
+			val = (val == null) ? "" : ("" + val);
+			if (/[",\r\n]/.test(val))
+				val = "\"" + val.replace(/"/g, "\"\"") + "\"";
+			return val;
+		};
+
+		var lines = [columns.join(",")];
+		for (var i = 0; i < manifest.length; i++) {
+			var row = [];
+			for (var c = 0; c < columns.length; c++)
+				row.push(escape(manifest[i][columns[c]]));
+			lines.push(row.join(","));
+		}
+		return lines.join("\n");
 	},
 
     type: 'xUpdateSetBuilder',
-	version: '1.0.0'
+	version: '1.3.0'
+};
+
+/**
+* Formats supported by preview().
+*/
+xUpdateSetBuilder.MANIFEST_FORMAT = {};
+xUpdateSetBuilder.MANIFEST_FORMAT.TEXT = "text";
+xUpdateSetBuilder.MANIFEST_FORMAT.JSON = "json";
+xUpdateSetBuilder.MANIFEST_FORMAT.CSV = "csv";
+
+/**
+* Types of dependencies captured by resolveDependencies().
+*/
+xUpdateSetBuilder.DEPENDENCY_TYPE = {};
+xUpdateSetBuilder.DEPENDENCY_TYPE.ROLE = "role";
+xUpdateSetBuilder.DEPENDENCY_TYPE.SCRIPT_INCLUDE = "script include";
+xUpdateSetBuilder.DEPENDENCY_TYPE.EVENT = "event";
+xUpdateSetBuilder.DEPENDENCY_TYPE.TABLE = "table";
+
+xUpdateSetBuilder._DEPENDENCY_STATUS = {};
+xUpdateSetBuilder._DEPENDENCY_STATUS.ADDED = "added";
+xUpdateSetBuilder._DEPENDENCY_STATUS.ALREADY_CAPTURED = "already captured";
+xUpdateSetBuilder._DEPENDENCY_STATUS.EXCLUDED = "excluded";
+xUpdateSetBuilder._DEPENDENCY_STATUS.SKIPPED = "skipped";
+
+/**
+* Script fields inspected by resolveDependencies(), per table.
+*/
+xUpdateSetBuilder._SCRIPT_FIELDS = {
+	"sys_script": ["script"],
+	"sys_ui_action": ["script"],
+	"sys_script_client": ["script"],
+	"sys_script_include": ["script"],
+	"sys_security_acl": ["script"],
+	"sys_ui_policy": ["script_true", "script_false"],
+	"sys_script_email": ["script"]
+};
+
+/**
+* Reference fields of a Notification whose records are captured with it (when present on the instance's version).
+*/
+xUpdateSetBuilder._NOTIFICATION_REFERENCE_FIELDS = ["template", "digest_template", "category"];
+
+/**
+* Fields of Notifications and Email Templates that can reference Email Scripts via ${mail_script:name}.
+*/
+xUpdateSetBuilder._MAIL_SCRIPT_FIELDS = ["subject", "message", "message_html", "message_text", "sms_alternate",
+	"digest_subject", "digest_html", "digest_text"];
+
+/**
+* Finds the names of the Email Scripts referenced via ${mail_script:name} in a Notification or Email Template.
+*
+* @param gr (GlideRecord) the Notification or Email Template.
+* @return (Array) the Email Script names.
+*/
+xUpdateSetBuilder._findMailScriptNames = function(gr) {
+	var names = [];
+	for (var i = 0; i < xUpdateSetBuilder._MAIL_SCRIPT_FIELDS.length; i++) {
+		var field = xUpdateSetBuilder._MAIL_SCRIPT_FIELDS[i];
+		if (!gr.isValidField(field) || gr.getElement(field).nil())
+			continue;
+
+		var re = /\$\{\s*mail_script\s*:\s*([^}\s]+)\s*\}/g;
+		var text = "" + gr.getElement(field);
+		var match;
+		while ((match = re.exec(text)) !== null) {
+			if (names.indexOf(match[1]) < 0)
+				names.push(match[1]);
+		}
+	}
+	return names;
+};
+
+/**
+* Finds the names of the Script Includes (candidates only; not every match is a Script Include) and Events
+* referenced in a script.
+*
+* @param script (string) the script to inspect.
+* @return (object) {scriptIncludes: (Array) candidate names, events: (Array) event names}.
+*/
+xUpdateSetBuilder._findScriptReferences = function(script) {
+	var refs = {scriptIncludes: [], events: []};
+	var add = function(list, name) {
+		if (list.indexOf(name) < 0)
+			list.push(name);
+	};
+
+	//Strip comments so that commented out code doesn't add dependencies.
+	script = script.replace(/\/\*[\s\S]*?\*\//g, "").replace(/(^|[^:\\])\/\/.*$/gm, "$1");
+
+	//"new MyUtils(", "new global.MyUtils(", "MyUtils.doIt(" and "new GlideAjax('MyAjax')"
+	var patterns = [
+		/\bnew\s+(?:[A-Za-z_$][\w$]*\.)?([A-Za-z_$][\w$]*)\s*\(/g,
+		/(?:^|[^\w$.])([A-Z][\w$]*)\s*\.\s*[A-Za-z_$][\w$]*\s*\(/g,
+		/\bGlideAjax\s*\(\s*["'](?:[A-Za-z_$][\w$]*\.)?([A-Za-z_$][\w$]*)["']/g
+	];
+	for (var i = 0; i < patterns.length; i++) {
+		var match;
+		while ((match = patterns[i].exec(script)) !== null)
+			add(refs.scriptIncludes, match[1]);
+	}
+
+	var evt = /\bgs\s*\.\s*eventQueue(?:Scheduled)?\s*\(\s*["']([^"']+)["']/g;
+	var evtMatch;
+	while ((evtMatch = evt.exec(script)) !== null)
+		add(refs.events, evtMatch[1]);
+
+	return refs;
+};
+
+xUpdateSetBuilder._compare = function(a, b) {
+	a = ("" + a).toLowerCase();
+	b = ("" + b).toLowerCase();
+	return (a < b) ? -1 : ((a > b) ? 1 : 0);
 };
 
 //Enum of all tables supported by this utility.
 xUpdateSetBuilder._TABLES = {};
 xUpdateSetBuilder._TABLES.SYS_SCOPE = "sys_scope";
 xUpdateSetBuilder._TABLES.UPDATE_SET = "sys_update_set";
+xUpdateSetBuilder._TABLES.UPDATE_XML = "sys_update_xml";
 xUpdateSetBuilder._TABLES.SYS_APPLICATION = "sys_app";
 xUpdateSetBuilder._TABLES.SYS_PROPERTIES = "sys_properties";
 xUpdateSetBuilder._TABLES.SYS_PROPERTIES_CATEGORY = "sys_properties_category";
@@ -1050,3 +1826,7 @@ xUpdateSetBuilder._TABLES.ROLE = "sys_user_role";
 xUpdateSetBuilder._TABLES.TABLE_NUMBER = "sys_number";
 xUpdateSetBuilder._TABLES.ARCHIVE_RULE = "sys_archive";
 xUpdateSetBuilder._TABLES.ARCHIVE_RULE_RELATED = "sys_archive_related";
+xUpdateSetBuilder._TABLES.NOTIFICATION = "sysevent_email_action";
+xUpdateSetBuilder._TABLES.EMAIL_TEMPLATE = "sysevent_email_template";
+xUpdateSetBuilder._TABLES.EMAIL_SCRIPT = "sys_script_email";
+xUpdateSetBuilder._TABLES.NOTIFICATION_SUBSCRIPTION = "sys_notif_subscription";